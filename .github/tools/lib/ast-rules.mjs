@@ -0,0 +1,265 @@
+/**
+ * ast-rules.mjs
+ *
+ * AST-based static rules for JS/TS/JSX files (parsed with @babel/parser).
+ * Every finding carries an exact range: line/column/endLine/endColumn (1-based).
+ */
+
+import { parse } from "@babel/parser";
+
+export const AST_EXTS = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"];
+
+export const AST_RULES = [
+  { id: "react-inline-handler", severity: "low", msg: "Inline function passed to a JSX event handler is recreated every render (extract handler)" },
+  { id: "effect-missing-cleanup", severity: "medium", msg: "useEffect subscribes (listener/timer/subscription) but returns no cleanup function" },
+  { id: "jsx-missing-key", severity: "medium", msg: "JSX returned from .map() has no `key` prop" },
+  { id: "dangerouslySetInnerHTML", severity: "high", msg: "dangerouslySetInnerHTML with non-literal content can introduce XSS; sanitize/escape content" },
+  { id: "no-eval", severity: "high", msg: "Avoid eval() / new Function() / string timers: they execute arbitrary code" },
+  { id: "child-process-injection", severity: "high", msg: "Shell command built from interpolated strings (command injection); pass arguments as an array to execFile/spawn" },
+  { id: "weak-crypto", severity: "medium", msg: "Weak hash algorithm (md5/sha1)" },
+  { id: "sync-io", severity: "medium", msg: "Sync I/O in JS (prefer async)" },
+];
+
+const RULES = Object.fromEntries(AST_RULES.map(r => [r.id, r]));
+
+const SUBSCRIBE_METHODS = new Set(["addEventListener", "subscribe", "on", "addListener", "observe", "watch", "setInterval", "setTimeout", "requestAnimationFrame"]);
+const SHELL_FNS = new Set(["exec", "execSync"]);
+const SPAWN_FNS = new Set(["spawn", "spawnSync", "execFile", "execFileSync"]);
+const SYNC_IO_FNS = new Set(["readFileSync", "writeFileSync", "readdirSync", "statSync"]);
+const WEAK_HASHES = new Set(["md5", "sha1"]);
+const SKIP_KEYS = new Set(["loc", "start", "end", "extra", "comments", "leadingComments", "trailingComments", "innerComments", "range"]);
+
+export const isAstFile = (file) => AST_EXTS.some(ext => String(file).toLowerCase().endsWith(ext));
+
+function parserPlugins(file) {
+  const f = file.toLowerCase();
+  if (f.endsWith(".tsx")) return ["typescript", "jsx", "decorators-legacy"];
+  if (/\.[mc]?ts$/.test(f)) return ["typescript", "decorators-legacy"];
+  return ["jsx", "decorators-legacy"];
+}
+
+/** Parse a file; returns the Babel AST or throws on unrecoverable syntax errors. */
+export function parseSource(file, src) {
+  return parse(src, {
+    sourceType: "unambiguous",
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    plugins: parserPlugins(file)
+  });
+}
+
+/** depth-first walk; `visit(node, ancestors)` */
+function traverse(node, visit, ancestors = []) {
+  if (!node || typeof node.type !== "string") return;
+  visit(node, ancestors);
+  ancestors.push(node);
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const v = node[key];
+    if (Array.isArray(v)) { for (const c of v) traverse(c, visit, ancestors); }
+    else if (v && typeof v.type === "string") traverse(v, visit, ancestors);
+  }
+  ancestors.pop();
+}
+
+const isFn = (n) => n && (n.type === "ArrowFunctionExpression" || n.type === "FunctionExpression" || n.type === "FunctionDeclaration");
+const isStringLike = (n) => n && (n.type === "StringLiteral" || (n.type === "TemplateLiteral" && n.expressions.length === 0));
+const calleeName = (c) =>
+  c?.type === "Identifier" ? c.name
+  : c?.type === "MemberExpression" && !c.computed && c.property.type === "Identifier" ? c.property.name
+  : null;
+const unwrapTS = (n) => {
+  while (n && (n.type === "TSAsExpression" || n.type === "TSNonNullExpression" || n.type === "TypeCastExpression" || n.type === "ParenthesizedExpression")) n = n.expression;
+  return n;
+};
+
+/** true when a string argument mixes in runtime values (`cmd ${x}` or "cmd " + x) */
+function isInterpolated(n) {
+  n = unwrapTS(n);
+  if (!n) return false;
+  if (n.type === "TemplateLiteral") return n.expressions.length > 0;
+  if (n.type === "BinaryExpression" && n.operator === "+") {
+    return !(isStringLike(n.left) || n.left.type === "NumericLiteral") || !(isStringLike(n.right) || n.right.type === "NumericLiteral") || isInterpolated(n.left) || isInterpolated(n.right);
+  }
+  return false;
+}
+
+/** walk a function body without descending into nested functions */
+function ownStatements(fnNode, visit) {
+  const walkNode = (n) => {
+    if (!n || typeof n.type !== "string") return;
+    if (n !== fnNode && isFn(n)) return;
+    visit(n);
+    for (const key of Object.keys(n)) {
+      if (SKIP_KEYS.has(key)) continue;
+      const v = n[key];
+      if (Array.isArray(v)) v.forEach(walkNode);
+      else if (v && typeof v.type === "string") walkNode(v);
+    }
+  };
+  walkNode(fnNode.body);
+}
+
+function effectHasSubscription(fn) {
+  let found = false;
+  traverse(fn.body, (n) => {
+    if (n.type === "CallExpression" && SUBSCRIBE_METHODS.has(calleeName(n.callee))) found = true;
+  });
+  return found;
+}
+
+function effectReturnsCleanup(fn) {
+  if (fn.body.type !== "BlockStatement") return true; // `() => subscribe(x)` returns the unsubscribe handle
+  let returns = false;
+  ownStatements(fn, (n) => {
+    if (n.type === "ReturnStatement" && n.argument) returns = true;
+  });
+  return returns;
+}
+
+/** JSX elements a .map() callback can return */
+function returnedJsx(fn) {
+  if (fn.body.type !== "BlockStatement") return [unwrapTS(fn.body)];
+  const out = [];
+  ownStatements(fn, (n) => {
+    if (n.type === "ReturnStatement" && n.argument) out.push(unwrapTS(n.argument));
+  });
+  return out;
+}
+
+const hasKeyProp = (el) => el.openingElement.attributes.some(a =>
+  a.type === "JSXSpreadAttribute" || (a.type === "JSXAttribute" && a.name.name === "key"));
+
+/** module bindings for child_process and fs, so only calls on those modules are flagged */
+function collectModuleBindings(ast) {
+  const b = { cpNamespaces: new Set(), cpFns: new Map(), fsNamespaces: new Set(["fs"]), fsFns: new Set() };
+  const isCp = (s) => s === "child_process" || s === "node:child_process";
+  const isFs = (s) => s === "fs" || s === "node:fs" || s === "fs/promises" || s === "node:fs/promises";
+  const bindFrom = (source, local, imported) => {
+    if (isCp(source)) {
+      if (imported) b.cpFns.set(local, imported); else b.cpNamespaces.add(local);
+    } else if (isFs(source)) {
+      if (imported) { if (SYNC_IO_FNS.has(imported)) b.fsFns.add(local); } else b.fsNamespaces.add(local);
+    }
+  };
+  traverse(ast.program, (n) => {
+    if (n.type === "ImportDeclaration") {
+      for (const s of n.specifiers) {
+        if (s.type === "ImportSpecifier") bindFrom(n.source.value, s.local.name, s.imported.name ?? s.imported.value);
+        else bindFrom(n.source.value, s.local.name, null);
+      }
+    } else if (n.type === "VariableDeclarator" && n.init) {
+      const init = unwrapTS(n.init);
+      if (init?.type !== "CallExpression" || init.callee.type !== "Identifier" || init.callee.name !== "require") return;
+      const src = init.arguments[0];
+      if (!src || src.type !== "StringLiteral") return;
+      if (n.id.type === "Identifier") bindFrom(src.value, n.id.name, null);
+      else if (n.id.type === "ObjectPattern") {
+        for (const p of n.id.properties) {
+          if (p.type === "ObjectProperty" && p.key.type === "Identifier" && p.value.type === "Identifier") {
+            bindFrom(src.value, p.value.name, p.key.name);
+          }
+        }
+      }
+    }
+  });
+  return b;
+}
+
+/** resolve a call to a child_process / fs function name, or null */
+function moduleCall(callee, namespaces, fns) {
+  if (callee.type === "Identifier") return fns instanceof Map ? (fns.get(callee.name) ?? null) : (fns.has(callee.name) ? callee.name : null);
+  if (callee.type === "MemberExpression" && !callee.computed && callee.object.type === "Identifier" &&
+      namespaces.has(callee.object.name) && callee.property.type === "Identifier") {
+    return callee.property.name;
+  }
+  return null;
+}
+
+const hasShellOption = (args) => args.some(a => a && a.type === "ObjectExpression" && a.properties.some(p =>
+  p.type === "ObjectProperty" && (p.key.name === "shell" || p.key.value === "shell") && !(p.value.type === "BooleanLiteral" && !p.value.value)));
+
+/**
+ * Run all AST rules over one file.
+ * @returns {{ findings: object[], error: string|null }}
+ */
+export function runAstRules(file, src) {
+  let ast;
+  try {
+    ast = parseSource(file, src);
+  } catch (e) {
+    return { findings: [], error: String(e.message || e) };
+  }
+
+  const findings = [];
+  const report = (ruleId, node, detail) => {
+    const r = RULES[ruleId];
+    findings.push({
+      file,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      endLine: node.loc.end.line,
+      endColumn: node.loc.end.column + 1,
+      severity: r.severity,
+      ruleId,
+      comment: `${detail || r.msg} (rule: ${ruleId})`
+    });
+  };
+  const mods = collectModuleBindings(ast);
+
+  traverse(ast.program, (n) => {
+    switch (n.type) {
+      case "JSXAttribute": {
+        const name = n.name.type === "JSXIdentifier" ? n.name.name : null;
+        const expr = n.value?.type === "JSXExpressionContainer" ? unwrapTS(n.value.expression) : null;
+        if (name && /^on[A-Z]/.test(name) && isFn(expr)) report("react-inline-handler", expr);
+        if (name === "dangerouslySetInnerHTML" && expr) {
+          const html = expr.type === "ObjectExpression"
+            ? expr.properties.find(p => p.type === "ObjectProperty" && (p.key.name === "__html" || p.key.value === "__html"))?.value
+            : expr;
+          const sanitized = html?.type === "CallExpression" && /sanitize|purify|escape/i.test(calleeName(html.callee) || "");
+          if (html && !isStringLike(html) && !sanitized) report("dangerouslySetInnerHTML", n);
+        }
+        break;
+      }
+      case "CallExpression": {
+        const name = calleeName(n.callee);
+        const args = n.arguments;
+        if ((name === "useEffect" || name === "useLayoutEffect") && isFn(args[0])) {
+          if (effectHasSubscription(args[0]) && !effectReturnsCleanup(args[0])) report("effect-missing-cleanup", n);
+        }
+        if (name === "map" && n.callee.type === "MemberExpression" && isFn(args[0])) {
+          for (const el of returnedJsx(args[0])) {
+            if (el?.type === "JSXElement" && !hasKeyProp(el)) report("jsx-missing-key", el.openingElement);
+            else if (el?.type === "JSXFragment") report("jsx-missing-key", el.openingFragment, "Short fragment `<>` returned from .map() cannot take a `key`; use <Fragment key=…>");
+          }
+        }
+        const callee = unwrapTS(n.callee);
+        const isGlobalEval = callee.type === "Identifier" ? callee.name === "eval"
+          : callee.type === "MemberExpression" && ["window", "globalThis", "global"].includes(callee.object.name) && calleeName(callee) === "eval";
+        if (isGlobalEval) report("no-eval", n);
+        if (callee.type === "Identifier" && callee.name === "Function") report("no-eval", n);
+        if (callee.type === "Identifier" && (callee.name === "setTimeout" || callee.name === "setInterval") && args[0] && (isStringLike(args[0]) || isInterpolated(args[0]))) {
+          report("no-eval", n, `${callee.name}() with a string argument evaluates code`);
+        }
+        const cp = moduleCall(callee, mods.cpNamespaces, mods.cpFns);
+        if (cp && args[0] && isInterpolated(args[0]) && (SHELL_FNS.has(cp) || (SPAWN_FNS.has(cp) && hasShellOption(args.slice(1))))) {
+          report("child-process-injection", args[0]);
+        }
+        if ((name === "createHash" || name === "createHmac") && args[0] && isStringLike(args[0])) {
+          const algo = (args[0].value ?? args[0].quasis?.[0]?.value?.cooked ?? "").toLowerCase();
+          if (WEAK_HASHES.has(algo)) report("weak-crypto", args[0], `Weak hash algorithm "${algo}"`);
+        }
+        const fsFn = moduleCall(callee, mods.fsNamespaces, mods.fsFns);
+        if (fsFn && SYNC_IO_FNS.has(fsFn)) report("sync-io", n.callee);
+        break;
+      }
+      case "NewExpression":
+        if (n.callee.type === "Identifier" && n.callee.name === "Function") report("no-eval", n);
+        break;
+    }
+  });
+
+  return { findings, error: null };
+}
@@ -0,0 +1,129 @@
+/**
+ * baseline.mjs
+ *
+ * Known-findings baseline and inline suppressions.
+ *
+ * - Fingerprints hash the file, rule (or severity for model findings) and the normalized
+ *   code around the reported line, so they survive unrelated edits that shift line numbers.
+ *   Findings on removed code (side "LEFT") use the base revision's lines (findingLines).
+ * - The baseline is a committed JSON file (default .github/REVIEW_RULES/baseline.json).
+ * - Inline suppression: `// review-ignore: <ruleId|*> <reason>` on the reported line or the
+ *   line above it (any comment prefix works: //, #, --, /*).
+ * - Findings the team triaged as false positives on a PR (feedback.mjs) are suppressed as well.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const DEFAULT_BASELINE_PATH = path.join(".github", "REVIEW_RULES", "baseline.json");
+const BASELINE_VERSION = 1;
+const CONTEXT_RADIUS = 1;
+
+const IGNORE_RE = /review-ignore:\s*([\w.\/*-]+)/g;
+
+const normalizeCode = (s) => String(s || "").replace(/\s+/g, " ").trim();
+const normalizeRel = (p) => String(p || "").replace(/\\/g, "/").replace(/^\.\//, "");
+const ruleKey = (f) => f.ruleId || `llm:${String(f.severity || "info").toLowerCase()}`;
+
+/** file → lines reader with a small memo, relative to `root` */
+export function makeLineReader(root = process.cwd()) {
+  const memo = new Map();
+  return (file) => {
+    const rel = normalizeRel(file);
+    if (!memo.has(rel)) {
+      let lines = null;
+      try { lines = fs.readFileSync(path.join(root, rel), "utf8").split(/\r?\n/); } catch {}
+      memo.set(rel, lines);
+    }
+    return memo.get(rel);
+  };
+}
+
+function codeContext(lines, line) {
+  const n = Number(line);
+  if (!lines || !Number.isInteger(n) || n < 1 || n > lines.length) return null;
+  const from = Math.max(0, n - 1 - CONTEXT_RADIUS);
+  const to = Math.min(lines.length, n + CONTEXT_RADIUS);
+  return lines.slice(from, to).map(normalizeCode).join("\n");
+}
+
+/**
+ * The lines `f` is reported on: the new file's, or the base revision's for a finding on removed
+ * code (side "LEFT"); null when `readBaseLines` is not given, so the fingerprint uses the comment.
+ */
+export function findingLines(f, readLines, readBaseLines) {
+  return f.side === "LEFT" ? readBaseLines?.(f.file) ?? null : readLines(f.file);
+}
+
+export function fingerprintFinding(f, lines) {
+  // Without readable code, fall back to the comment text (still line-independent)
+  const context = codeContext(lines, f.line) ?? `comment:${normalizeCode(f.comment).slice(0, 120)}`;
+  return crypto.createHash("sha256")
+    .update(`${normalizeRel(f.file)}\u0000${ruleKey(f)}\u0000${context}`)
+    .digest("hex")
+    .slice(0, 24);
+}
+
+function inlineSuppressed(f, lines) {
+  const n = Number(f.line);
+  if (!lines || !Number.isInteger(n) || n < 1) return false;
+  const candidates = [lines[n - 1], lines[n - 2]].filter(Boolean);
+  for (const text of candidates) {
+    for (const m of text.matchAll(IGNORE_RE)) {
+      if (m[1] === "*" || m[1] === f.ruleId) return true;
+    }
+  }
+  return false;
+}
+
+export function loadBaseline(file = DEFAULT_BASELINE_PATH) {
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    const entries = Array.isArray(j?.findings) ? j.findings : [];
+    return { path: file, fingerprints: new Set(entries.map(e => e && e.fingerprint).filter(Boolean)), entries };
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`⚠️ Could not read baseline ${file}: ${e.message}`);
+    return { path: file, fingerprints: new Set(), entries: [] };
+  }
+}
+
+export function writeBaseline(file, findings) {
+  const entries = findings.map(f => ({
+    fingerprint: f.fingerprint,
+    file: normalizeRel(f.file),
+    ruleId: f.ruleId || null,
+    severity: String(f.severity || "info").toLowerCase(),
+    comment: String(f.comment || "").slice(0, 200)
+  })).sort((a, b) => a.file.localeCompare(b.file) || a.fingerprint.localeCompare(b.fingerprint));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ version: BASELINE_VERSION, findings: entries }, null, 2) + "\n", "utf8");
+}
+
+/** total of an applySuppressions() `suppressed` count */
+export const suppressedCount = (s) => s ? s.baseline + s.inline + (s.feedback || 0) : 0;
+
+/**
+ * Fingerprint findings and split them into new vs. suppressed.
+ * `feedback`: fingerprints triaged as false positives (feedback.mjs falsePositives).
+ * `readBaseLines`: base revision lines for findings on removed code (see findingLines).
+ * @returns {{ findings: object[], suppressed: { baseline: number, inline: number, feedback: number }, unsuppressed: object[] }}
+ *   `findings` are the new ones; `unsuppressed` is everything not inline-ignored (used to refresh the baseline).
+ */
+export function applySuppressions(findings, { baseline, feedback, readLines = makeLineReader(), readBaseLines } = {}) {
+  const out = [];
+  const unsuppressed = [];
+  const suppressed = { baseline: 0, inline: 0, feedback: 0 };
+  for (const f of findings) {
+    if (!f) continue;
+    if (!f.file) { out.push(f); continue; }
+    const lines = findingLines(f, readLines, readBaseLines);
+    const withFp = { ...f, fingerprint: fingerprintFinding(f, lines) };
+    if (inlineSuppressed(f, lines)) { suppressed.inline += 1; continue; }
+    unsuppressed.push(withFp);
+    if (baseline && baseline.fingerprints.has(withFp.fingerprint)) { suppressed.baseline += 1; continue; }
+    if (feedback && feedback.has(withFp.fingerprint)) { suppressed.feedback += 1; continue; }
+    out.push(withFp);
+  }
+  return { findings: out, suppressed, unsuppressed };
+}
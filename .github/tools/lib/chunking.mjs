@@ -0,0 +1,111 @@
+/**
+ * chunking.mjs
+ *
+ * Splits files too large for one model request into overlapping chunks, cut on function /
+ * class boundaries where the outline (outline.mjs) has them, instead of truncating.
+ * Chunk lines carry their file line numbers ("  120| code") and findings reported against a
+ * chunk are mapped back to file lines (mapChunkLines).
+ */
+
+import { outlineSource } from "./outline.mjs";
+
+const NUMBER_WIDTH = 8; // "  1234| "
+const MIN_FILL = 0.5; // never cut a chunk at a boundary before it is half full
+
+export const numberLines = (lines, startLine) =>
+  lines.map((l, i) => `${String(startLine + i).padStart(NUMBER_WIDTH - 2)}| ${l}`).join("\n");
+
+/** 1-based lines where a new chunk may start: unit starts, pulled up over the comments right above them */
+function cutPoints(rel, src, lines) {
+  let units = [];
+  try { units = outlineSource(rel, src).units; } catch { /* no outline: cut by size */ }
+  const points = new Set();
+  for (const u of units) {
+    let start = u.startLine;
+    while (start > 1 && /^\s*(\/\/|\/?\*|#|@)/.test(lines[start - 2])) start -= 1;
+    points.add(start);
+  }
+  return points;
+}
+
+/**
+ * @param {{ rel: string, src: string }} source
+ * @param {{ maxChars: number, overlapLines: number, maxChunks: number }} opts
+ * @returns {{ chunks: Array<{ startLine: number, endLine: number, lines: string[] }>, skipped: Array<{ startLine: number, endLine: number, reason: string }> }}
+ *   a single chunk spanning the file when it fits in `maxChars`
+ */
+export function chunkSource({ rel, src }, { maxChars, overlapLines, maxChunks }) {
+  const lines = src.replace(/\r?\n$/, "").split(/\r?\n/);
+  const skipped = [];
+  if (src.length <= maxChars) return { chunks: [{ startLine: 1, endLine: lines.length, lines }], skipped };
+
+  // Minified / generated lines longer than half a chunk are cut, and reported
+  const maxLine = Math.floor(maxChars / 2);
+  const body = lines.map((l, i) => {
+    if (l.length <= maxLine) return l;
+    skipped.push({ startLine: i + 1, endLine: i + 1, reason: `line longer than ${maxLine} chars (truncated)` });
+    return l.slice(0, maxLine - 20) + " ... [truncated]";
+  });
+  const points = cutPoints(rel, src, lines);
+
+  const chunks = [];
+  let start = 1;
+  while (start <= body.length) {
+    if (chunks.length === maxChunks) {
+      skipped.push({ startLine: start, endLine: body.length, reason: `beyond ${maxChunks} chunks per file` });
+      break;
+    }
+    let size = 0;
+    let end = start - 1;
+    while (end < body.length && size + body[end].length + NUMBER_WIDTH + 1 <= maxChars) {
+      size += body[end].length + NUMBER_WIDTH + 1;
+      end += 1;
+    }
+    if (end < body.length) {
+      // back off to the last function / class start in the second half of the chunk
+      const minEnd = start + Math.floor((end - start + 1) * MIN_FILL);
+      for (let p = end; p > minEnd; p--) {
+        if (points.has(p + 1)) { end = p; break; }
+      }
+    }
+    end = Math.max(end, start); // always make progress
+    chunks.push({ startLine: start, endLine: end, lines: body.slice(start - 1, end) });
+    if (end >= body.length) break;
+    // overlap: repeat up to `overlapLines` lines, but at most a quarter of a chunk, so every chunk adds new lines
+    let next = end + 1;
+    let repeated = 0;
+    while (next - 1 > start && end + 1 - next < overlapLines && repeated + body[next - 2].length + NUMBER_WIDTH + 1 <= maxChars / 4) {
+      repeated += body[next - 2].length + NUMBER_WIDTH + 1;
+      next -= 1;
+    }
+    start = next;
+  }
+  return { chunks, skipped };
+}
+
+/**
+ * Findings of a batch with chunked files ({ file, startLine, endLine } in `chunks`): lines the
+ * model counted from the top of a chunk instead of using the printed numbers are shifted back,
+ * and findings outside every chunk of their file in the batch are dropped.
+ * @returns {{ findings: object[], outside: number }}
+ */
+export function mapChunkLines(findings, chunks) {
+  const byFile = new Map();
+  for (const c of chunks) byFile.set(c.file, [...(byFile.get(c.file) || []), c]);
+  const out = [];
+  let outside = 0;
+  for (const f of findings) {
+    const own = byFile.get(f.file);
+    if (!own || own.some(c => f.line >= c.startLine && f.line <= c.endLine)) { out.push(f); continue; }
+    const relative = own.length === 1 && f.line >= 1 && f.line <= own[0].endLine - own[0].startLine + 1 ? own[0] : null;
+    if (!relative) { outside += 1; continue; }
+    const shift = relative.startLine - 1;
+    out.push({
+      ...f,
+      line: f.line + shift,
+      ...(f.endLine != null ? { endLine: f.endLine + shift } : {}),
+      ...(f.edit ? { edit: { ...f.edit, startLine: f.edit.startLine + shift, endLine: f.edit.endLine + shift } } : {})
+    });
+  }
+  return { findings: out, outside };
+}
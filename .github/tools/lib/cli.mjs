@@ -0,0 +1,212 @@
+/**
+ * cli.mjs
+ *
+ * Local review of git changes, no GitHub involved. Per-file patches come from `git diff`
+ * (git.mjs) and go through the same static checks, batching and model path as PR mode.
+ * Progress goes to stderr; the report (text | json | sarif) to stdout or --output.
+ * --fix / --patch turn the findings' structured edits into working-tree changes or a patch (fixes.mjs).
+ *
+ * Exit codes: 0 = ok, 1 = quality gate failed (--fail-on / REVIEW_FAIL_ON), 2 = usage or setup error.
+ */
+
+import fs from "fs";
+import path from "path";
+import { suppressedCount } from "./baseline.mjs";
+import { loadConfig, validateConfig } from "./config.mjs";
+import { isExcludedPath } from "./files.mjs";
+import { applyFixes, editDiffLines } from "./fixes.mjs";
+import { diffFiles, rangeHead, repoRoot, sourceReader, stagedFiles, wholeFiles } from "./git.mjs";
+import { createReviewContext, isUnauthorized, reportGate, reviewPatches, sarifReport } from "./review-engine.mjs";
+
+export const USAGE = `Usage: node .github/tools/review.mjs <command> [options]
+
+Commands:
+  diff [base..head]    review \`git diff\` output (default: uncommitted changes vs HEAD)
+  staged               review staged changes (pre-commit hook)
+  files <paths...>     review whole files
+
+Options:
+  --format <fmt>       text (default) | json | sarif
+  --output <file>      write the report to a file instead of stdout
+  --fail-on <spec>     quality gate, e.g. "high" or "high,medium>5" (default: REVIEW_FAIL_ON)
+  --static-only        skip the model: static checks and rule-pack patterns only
+  --fix                apply suggested edits to the working tree (only where the lines still match)
+  --patch <file>       write suggested edits as a unified patch (\`git apply <file>\`)
+  --provider <name>    model provider (default: REVIEW_PROVIDER or openrouter)
+  --model <id>         model id (default: REVIEW_MODEL)
+  -h, --help           show this help
+
+Model settings come from the same environment variables as CI (see lib/config.mjs).`;
+
+const FORMATS = ["text", "json", "sarif"];
+const VALUE_FLAGS = new Set(["--format", "--output", "--fail-on", "--provider", "--model", "--patch"]);
+
+/** → { command, args, format, output, failOn, staticOnly, fix, patch, provider, model, help } */
+export function parseArgs(argv) {
+  const opts = {
+    command: null, args: [], format: "text", output: null, failOn: null, staticOnly: false,
+    fix: false, patch: null, provider: null, model: null, help: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    let a = argv[i];
+    let value = null;
+    const eq = a.indexOf("=");
+    if (a.startsWith("--") && eq !== -1) { value = a.slice(eq + 1); a = a.slice(0, eq); }
+    if (VALUE_FLAGS.has(a)) {
+      if (value == null) value = argv[++i];
+      if (value == null) throw new Error(`${a} needs a value`);
+      const key = a.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase());
+      opts[key] = value;
+    } else if (a === "--static-only") opts.staticOnly = true;
+    else if (a === "--fix") opts.fix = true;
+    else if (a === "-h" || a === "--help") opts.help = true;
+    else if (a.startsWith("-")) throw new Error(`Unknown option ${a}`);
+    else if (!opts.command) opts.command = a;
+    else opts.args.push(a);
+  }
+  if (!FORMATS.includes(opts.format)) throw new Error(`--format must be one of ${FORMATS.join(", ")}`);
+  return opts;
+}
+
+/** collect patches + the reader of the revision they describe; paths are relative to `root` */
+function collectChanges(opts, root, cwd) {
+  switch (opts.command) {
+    case "diff": {
+      if (opts.args.length > 1) throw new Error("diff takes at most one range (base..head)");
+      const range = opts.args[0] || "";
+      return { files: diffFiles(range, { cwd: root }), readSource: sourceReader(rangeHead(range), { cwd: root }) };
+    }
+    case "staged":
+      return { files: stagedFiles({ cwd: root }), readSource: sourceReader(":", { cwd: root }) };
+    case "files": {
+      if (!opts.args.length) throw new Error("files needs at least one path");
+      const rel = opts.args.map(p => path.relative(root, path.resolve(cwd, p)));
+      return { files: wholeFiles(rel, { cwd: root }), readSource: sourceReader(null, { cwd: root }) };
+    }
+    default:
+      throw new Error(opts.command ? `Unknown command "${opts.command}"` : "Missing command");
+  }
+}
+
+export function renderText(out) {
+  const lines = [];
+  const byFile = [...out.findings].sort((a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0));
+  for (const f of byFile) {
+    const at = `${f.file}:${f.line ?? "-"}${f.column ? `:${f.column}` : ""}`;
+    const agreement = f.agreement ? ` (${f.agreement} models${f.lowAgreement ? ", low agreement" : ""})` : "";
+    lines.push(`${at}  ${String(f.severity || "info").toUpperCase().padEnd(6)}  ${f.ruleId ? `[${f.ruleId}] ` : ""}${String(f.comment || "").replace(/\n/g, " ")}${agreement}`);
+    if (f.edit) lines.push(...editDiffLines(f.edit).map(l => `    │ ${l}`));
+    else if (f.suggestion) lines.push(...String(f.suggestion).split("\n").map(l => `    │ ${l}`));
+  }
+  for (const b of [...out.failedBatches, ...out.skippedBatches]) {
+    lines.push(`⚠️ Not reviewed by the model (batch ${b.batch}: ${b.error}): ${b.files.join(", ")}`);
+  }
+  const c = out.gate.counts;
+  const sup = suppressedCount(out.suppressed);
+  const low = out.findings.filter(f => f.lowAgreement).length;
+  lines.push("", `${out.findings.length - low} finding(s): ${c.high} high, ${c.medium} medium, ${c.low} low, ${c.info} info` +
+    (low ? ` (+${low} with low model agreement)` : "") + (sup ? ` (${sup} suppressed)` : ""));
+  if (out.gate.enabled) lines.push(`Quality gate: ${out.gate.passed ? "passed" : "FAILED"}`);
+  return lines.join("\n") + "\n";
+}
+
+/** @returns {Promise<number>} exit code */
+export async function runCli(argv, { toolName = "review-cli", env = process.env } = {}) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    console.error(`❌ ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help || !opts.command) {
+    (opts.help ? console.log : console.error)(USAGE);
+    return opts.help ? 0 : 2;
+  }
+
+  // The report owns stdout: progress logging goes to stderr for the run
+  const saved = { log: console.log, cwd: process.cwd() };
+  console.log = console.error;
+  try {
+    return await runReview(opts, { toolName, env, cwd: saved.cwd });
+  } finally {
+    console.log = saved.log;
+    process.chdir(saved.cwd);
+  }
+}
+
+async function runReview(opts, { toolName, env, cwd }) {
+  let root;
+  try { root = repoRoot(cwd); } catch (e) { console.error(`❌ ${e.message}`); return 2; }
+  process.chdir(root);
+
+  let changes;
+  try {
+    changes = collectChanges(opts, root, cwd);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 2;
+  }
+
+  const cfg = loadConfig({
+    defaultProvider: "openrouter",
+    env: {
+      ...env,
+      ...(opts.provider ? { REVIEW_PROVIDER: opts.provider } : {}),
+      ...(opts.model ? { REVIEW_MODEL: opts.model } : {}),
+      ...(opts.failOn != null ? { REVIEW_FAIL_ON: opts.failOn } : {})
+    }
+  });
+  const errors = validateConfig(cfg, { requireModel: !opts.staticOnly });
+  if (errors.length) {
+    for (const e of errors) console.error(`❌ ${e}`);
+    return 2;
+  }
+
+  let ctx;
+  try {
+    ctx = createReviewContext(cfg, toolName);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 2;
+  }
+  const files = changes.files.filter(f => !isExcludedPath(f.filename, cfg.scan));
+  if (!files.some(f => f.patch)) console.error("ℹ️ No textual changes to review.");
+
+  let out;
+  try {
+    out = await reviewPatches(ctx, files, {
+      readSource: changes.readSource,
+      staticOnly: opts.staticOnly,
+      describe: (n, total, b) => `📦 Batch ${n}/${total} (len=${b.text.length})`
+    });
+  } catch (e) {
+    console.error(isUnauthorized(e) ? `❌ 401 Unauthorized from ${cfg.label}. Check the API key.` : `❌ ${e.message || e}`);
+    return 2;
+  } finally {
+    ctx.releaseSignals();
+  }
+
+  const { readLines, readBaseLines, batches, ...report } = out;
+  const text = opts.format === "json"
+    ? JSON.stringify(report, null, 2) + "\n"
+    : opts.format === "sarif"
+      ? JSON.stringify(sarifReport(ctx, report.findings), null, 2) + "\n"
+      : renderText(report);
+  if (opts.output) {
+    fs.writeFileSync(path.resolve(cwd, opts.output), text, "utf8");
+    console.error(`✅ Report written to ${opts.output}`);
+  } else {
+    process.stdout.write(text);
+  }
+
+  if (opts.fix || opts.patch) {
+    const fixed = applyFixes(report.findings, { root, write: opts.fix });
+    if (opts.patch) fs.writeFileSync(path.resolve(cwd, opts.patch), fixed.patch, "utf8");
+    console.error(`🔧 ${opts.fix ? "Applied" : "Prepared"} ${fixed.applied.length} edit(s) in ${fixed.files.length} file(s)` +
+      (opts.patch ? ` → ${opts.patch}` : "") + ".");
+    if (fixed.stale.length) console.error(`⚠️ Skipped ${fixed.stale.length} edit(s) whose lines changed since the review.`);
+    if (fixed.overlapping.length) console.error(`⚠️ Skipped ${fixed.overlapping.length} edit(s) overlapping a higher-priority edit.`);
+  }
+  return reportGate(report.gate) ? 0 : 1;
+}
@@ -0,0 +1,256 @@
+/**
+ * config.mjs
+ *
+ * Reviewer configuration from the environment (and the optional repo config file).
+ *
+ * Provider selection:
+ *   REVIEW_PROVIDER  — openrouter | openai-compatible | codex | mock (entry scripts pick a default)
+ *   REVIEW_MODEL     — model id (falls back to OPENROUTER_MODEL / CODEX_MODEL / OPENAI_MODEL)
+ *   REVIEW_BASE_URL  — chat completions base URL (falls back to OPENROUTER_BASE_URL for OpenRouter;
+ *                      e.g. http://localhost:11434/v1 for a local Ollama server)
+ *   REVIEW_API_KEY   — API key (falls back to OPENROUTER_API_KEY / OPENAI_API_KEY)
+ *   MODEL_ALLOWLIST  — comma-separated list; if set, the model must be in it
+ *   REVIEW_RESPONSE_FORMAT — json_object (default) | json_schema | off: structured output request
+ *   REVIEW_REPAIR_ATTEMPTS — repair prompts sent after a response fails validation (default 2)
+ *   REVIEW_FALLBACK_MODELS — comma-separated models tried in order when the primary model fails
+ *   REVIEW_HTTP_RETRIES    — retries per model request on 429/5xx/timeouts (default 3)
+ *   REVIEW_HTTP_TIMEOUT_MS — per-attempt request timeout (default 120000)
+ *   REVIEW_MAX_TOKENS      — max_tokens of each model reply (default 1000)
+ *
+ * Ensemble review (consensus.mjs):
+ *   REVIEW_ENSEMBLE_MODELS — comma-separated models (at least two; "allowlist" = every MODEL_ALLOWLIST model)
+ *                            that each review every batch; findings are clustered across models
+ *   REVIEW_ENSEMBLE_MIN_CONFIDENCE — share of answering models that must agree on a finding for it to
+ *                            go inline and count for the gate (default 0.6: two of three, both of two)
+ *
+ * Throughput & budget (scheduler.mjs):
+ *   REVIEW_CONCURRENCY     — batches reviewed in parallel (default 2)
+ *   REVIEW_BUDGET_TOKENS   — stop starting batches once the run would use more tokens than this
+ *   REVIEW_BUDGET_USD      — same, for estimated cost; needs the two prices below
+ *   REVIEW_PRICE_INPUT_PER_MTOK / REVIEW_PRICE_OUTPUT_PER_MTOK — USD per million prompt / completion tokens
+ *
+ * PR context (context.mjs), appended read-only after each file's patch:
+ *   REVIEW_CONTEXT_LINES     — max lines of the enclosing function / component shown per change (default 60, 0 = off)
+ *   REVIEW_CONTEXT_USAGES    — usage snippets shown per changed exported symbol (default 3, 0 = off)
+ *   REVIEW_CONTEXT_MAX_CHARS — cap of each file's context block (default 6000, 0 = no context at all)
+ *
+ * Quality gate (quality-gate.mjs):
+ *   REVIEW_FAIL_ON   — e.g. "high" or "high,medium>5": exit non-zero when new findings match
+ *   REVIEW_CHECK_RUN — PR mode publishes a Check Run with annotations unless this is "0"
+ *
+ * Triage feedback (feedback.mjs):
+ *   REVIEW_FEEDBACK_PATH — the feedback store runs read and update (default .github/REVIEW_RULES/feedback.json);
+ *                          the committed default file is merged in underneath (from the base revision in PR mode)
+ *   REVIEW_FEEDBACK      — "0": do not record triage from the reviewer's PR threads
+ *
+ * Scan scope, size limits, inline severities and model defaults can also come from
+ * .github/review.config.(json|yml) and .reviewignore (review-config.mjs); the variables above win.
+ *
+ * GitHub (PR mode): GITHUB_TOKEN, REPO (owner/repo), PR_NUMBER; GITHUB_API_URL / GITHUB_GRAPHQL_URL
+ * (set by Actions on GitHub Enterprise Server, or pointed at the test stub server). Full-repo runs
+ * with a token and GITHUB_SHA record the triage of the pull requests that commit merged.
+ * Other: OR_SITE_URL / OR_PROJECT_NAME (OpenRouter attribution headers), GITHUB_STEP_SUMMARY,
+ * REVIEW_MOCK_RESPONSES (canned replies of the mock provider)
+ */
+
+import path from "path";
+import { PROVIDERS, PROVIDER_LABELS } from "./providers.mjs";
+import { DEFAULT_BASELINE_PATH } from "./baseline.mjs";
+import { DEFAULT_FEEDBACK_PATH } from "./feedback.mjs";
+import { parseGateSpec } from "./quality-gate.mjs";
+import { createIgnoreChecker } from "./ignore.mjs";
+import { endpointOverrideErrors, loadReviewConfig, withModelDefaults } from "./review-config.mjs";
+import { DEFAULT_SECRET_ALLOW_PATHS } from "./secrets.mjs";
+
+// -------------------- Scan scope --------------------
+export const SCAN_DEFAULTS = {
+  includeExts: [".js",".ts",".jsx",".tsx",".py",".java",".go",".rb",".php",".cs",".cpp",".c",".rs",".kt",".m",".swift",".sql",".sh",".yml",".yaml",".json"],
+  excludeDirs: [".git","node_modules","dist","build","out",".next",".venv","venv","coverage",".review-cache",".review-history",".review-feedback","certs","keys","secrets",".secrets","credentials",".github/private"],
+  excludeFiles: [".env",".env.local","id_rsa","id_ed25519","service-account.json","codex_full_review.json","codex_full_review.sarif"],
+  sensitiveGlobs: [/\.pem$/i, /\.p12$/i, /\.key$/i, /credentials?\./i],
+  maxBatchChars: 100_000,
+  maxFileChars: 40_000, // larger files are split into chunks of this size
+  chunkOverlapLines: 20,
+  maxChunksPerFile: 10,
+  maxFiles: 600,
+  prMaxBatchChars: 80_000
+};
+
+const INLINE_DEFAULTS = { severities: ["high", "medium"], max: 20 };
+const SCAN_LIMITS = ["maxFiles", "maxFileChars", "maxBatchChars", "prMaxBatchChars", "chunkOverlapLines", "maxChunksPerFile"];
+
+/** built-in scan scope + the config file's "scan" section (review-config.mjs) */
+function scanConfig(fileScan = {}) {
+  const respectGitignore = fileScan.respectGitignore ?? true;
+  return {
+    ...SCAN_DEFAULTS,
+    ...Object.fromEntries(SCAN_LIMITS.filter(k => fileScan[k] !== undefined).map(k => [k, fileScan[k]])),
+    include: fileScan.include || null,
+    exclude: fileScan.exclude || [],
+    sensitive: fileScan.sensitive || [],
+    respectGitignore,
+    isIgnored: createIgnoreChecker({ respectGitignore })
+  };
+}
+
+const RESPONSE_FORMATS = ["json_object", "json_schema", "off"];
+
+const DEFAULT_MODELS = {
+  openrouter: "openrouter/auto",
+  "openai-compatible": "",
+  codex: "",
+  mock: "mock"
+};
+
+function providerDefaults(provider, env) {
+  switch (provider) {
+    case "openrouter":
+      return {
+        model: env.OPENROUTER_MODEL,
+        baseUrl: env.OPENROUTER_BASE_URL || "https://openrouter.ai/api/v1",
+        apiKey: env.OPENROUTER_API_KEY
+      };
+    case "openai-compatible":
+      return { model: env.OPENAI_MODEL, baseUrl: env.OPENAI_BASE_URL || "https://api.openai.com/v1", apiKey: env.OPENAI_API_KEY };
+    case "codex":
+      return { model: env.CODEX_MODEL, baseUrl: "", apiKey: env.OPENAI_API_KEY };
+    default:
+      return { model: "", baseUrl: "", apiKey: "" };
+  }
+}
+
+function ensembleModels(env) {
+  const list = String(env.REVIEW_ENSEMBLE_MODELS || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (list.length === 1 && list[0].toLowerCase() === "allowlist") {
+    const allowed = String(env.MODEL_ALLOWLIST || "").split(",").map(s => s.trim()).filter(Boolean);
+    return allowed.length ? allowed : list; // left as is, so validateConfig reports it
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * `reviewConfig` defaults to .github/review.config.(json|yml) under the cwd; its problems are
+ * reported by validateConfig().
+ * @param {{ defaultProvider?: string, env?: object, reviewConfig?: { path: string|null, config: object, errors: string[] } }} opts
+ */
+export function loadConfig({ defaultProvider = "openrouter", env: rawEnv = process.env, reviewConfig = loadReviewConfig() } = {}) {
+  const isPR = Boolean(rawEnv.PR_NUMBER);
+  const env = withModelDefaults(rawEnv, reviewConfig.config, { endpoint: !isPR });
+  const provider = String(env.REVIEW_PROVIDER || defaultProvider).trim().toLowerCase();
+  const d = providerDefaults(provider, env);
+  const model = env.REVIEW_MODEL || d.model || DEFAULT_MODELS[provider] || "";
+  const [owner = "", repo = ""] = String(env.REPO || "").split("/");
+  // Actions sets the API URLs for GitHub Enterprise Server; github.com otherwise
+  const apiUrl = String(env.GITHUB_API_URL || "https://api.github.com").replace(/\/$/, "");
+
+  return {
+    provider,
+    label: PROVIDER_LABELS[provider] || provider,
+    model,
+    baseUrl: String(env.REVIEW_BASE_URL || d.baseUrl || "").replace(/\/$/, ""),
+    apiKey: env.REVIEW_API_KEY || d.apiKey || "",
+    allowlist: String(env.MODEL_ALLOWLIST || "").split(",").map(s => s.trim()).filter(Boolean),
+    fallbackModels: String(env.REVIEW_FALLBACK_MODELS || "").split(",").map(s => s.trim()).filter(Boolean),
+    ensemble: {
+      models: ensembleModels(env),
+      minConfidence: Number(env.REVIEW_ENSEMBLE_MIN_CONFIDENCE || 0.6)
+    },
+    http: {
+      retries: Number(env.REVIEW_HTTP_RETRIES || 3),
+      timeoutMs: Number(env.REVIEW_HTTP_TIMEOUT_MS || 120_000)
+    },
+    maxTokens: Number(env.REVIEW_MAX_TOKENS || 1000),
+    concurrency: Number(env.REVIEW_CONCURRENCY || 2),
+    budget: {
+      maxTokens: Number(env.REVIEW_BUDGET_TOKENS || 0),
+      maxCostUsd: Number(env.REVIEW_BUDGET_USD || 0),
+      pricing: env.REVIEW_PRICE_INPUT_PER_MTOK || env.REVIEW_PRICE_OUTPUT_PER_MTOK
+        ? { inputPerMTok: Number(env.REVIEW_PRICE_INPUT_PER_MTOK || 0), outputPerMTok: Number(env.REVIEW_PRICE_OUTPUT_PER_MTOK || 0) }
+        : null
+    },
+    responseFormat: String(env.REVIEW_RESPONSE_FORMAT || "json_object").toLowerCase(),
+    repairAttempts: Number(env.REVIEW_REPAIR_ATTEMPTS || 2),
+    context: {
+      lines: Number(env.REVIEW_CONTEXT_LINES || 60),
+      usages: Number(env.REVIEW_CONTEXT_USAGES || 3),
+      maxChars: Number(env.REVIEW_CONTEXT_MAX_CHARS || 6000)
+    },
+    gate: parseGateSpec(env.REVIEW_FAIL_ON),
+    checkRun: env.REVIEW_CHECK_RUN !== "0",
+    github: { token: env.GITHUB_TOKEN || "", owner, repo, prNumber: env.PR_NUMBER || "", sha: env.GITHUB_SHA || "", apiUrl, graphqlUrl: env.GITHUB_GRAPHQL_URL || `${apiUrl}/graphql` },
+    isPR,
+    attribution: { siteUrl: env.OR_SITE_URL || "", title: env.OR_PROJECT_NAME || "" },
+    mockResponses: env.REVIEW_MOCK_RESPONSES || "",
+    stepSummaryPath: env.GITHUB_STEP_SUMMARY || "",
+    cachePath: env.REVIEW_CACHE_PATH || path.join(".review-cache", `${provider}-full-repo.json`),
+    useCache: env.REVIEW_NO_CACHE !== "1",
+    historyPath: env.REVIEW_HISTORY_PATH || path.join(".review-history", `${provider}-full-repo.jsonl`),
+    useHistory: env.REVIEW_NO_HISTORY !== "1",
+    baselinePath: env.REVIEW_BASELINE_PATH || DEFAULT_BASELINE_PATH,
+    updateBaseline: env.REVIEW_UPDATE_BASELINE === "1",
+    feedback: { path: env.REVIEW_FEEDBACK_PATH || DEFAULT_FEEDBACK_PATH, fromPR: env.REVIEW_FEEDBACK !== "0" },
+    configPath: reviewConfig.path,
+    configErrors: isPR ? [...reviewConfig.errors, ...endpointOverrideErrors(rawEnv, reviewConfig)] : reviewConfig.errors,
+    scan: scanConfig(reviewConfig.config.scan),
+    inline: { ...INLINE_DEFAULTS, ...reviewConfig.config.inline },
+    secrets: {
+      allowPaths: [...DEFAULT_SECRET_ALLOW_PATHS, ...(reviewConfig.config.secrets?.allowPaths || [])],
+      allowFingerprints: reviewConfig.config.secrets?.allowFingerprints || []
+    }
+  };
+}
+
+/**
+ * → list of human-readable problems; empty when the config can run.
+ * `requireModel: false` skips provider credentials (static-only local runs).
+ */
+export function validateConfig(cfg, { requireModel = true } = {}) {
+  const errors = [...cfg.configErrors];
+  if (!PROVIDERS.includes(cfg.provider)) {
+    errors.push(`Unknown REVIEW_PROVIDER "${cfg.provider}" (expected one of: ${PROVIDERS.join(", ")}).`);
+    return errors;
+  }
+  if (requireModel && cfg.provider === "openrouter" && !cfg.apiKey) errors.push("Missing OPENROUTER_API_KEY env variable.");
+  if (requireModel && cfg.provider === "codex" && !cfg.apiKey) errors.push("Missing OPENAI_API_KEY env variable.");
+  if (requireModel && cfg.provider === "openai-compatible") {
+    if (!cfg.baseUrl) errors.push("Missing REVIEW_BASE_URL for the openai-compatible provider.");
+    if (!cfg.model && !cfg.ensemble.models.length) errors.push("Missing REVIEW_MODEL for the openai-compatible provider.");
+  }
+  if (!RESPONSE_FORMATS.includes(cfg.responseFormat)) {
+    errors.push(`REVIEW_RESPONSE_FORMAT must be one of ${RESPONSE_FORMATS.join(", ")} (got "${cfg.responseFormat}").`);
+  }
+  if (!Number.isInteger(cfg.repairAttempts) || cfg.repairAttempts < 0) {
+    errors.push("REVIEW_REPAIR_ATTEMPTS must be a non-negative integer.");
+  }
+  if (!Number.isInteger(cfg.http.retries) || cfg.http.retries < 0) errors.push("REVIEW_HTTP_RETRIES must be a non-negative integer.");
+  if (!(cfg.http.timeoutMs > 0)) errors.push("REVIEW_HTTP_TIMEOUT_MS must be a positive number.");
+  errors.push(...cfg.gate.errors);
+  if (!Number.isInteger(cfg.maxTokens) || cfg.maxTokens < 1) errors.push("REVIEW_MAX_TOKENS must be a positive integer.");
+  if (!Number.isInteger(cfg.concurrency) || cfg.concurrency < 1) errors.push("REVIEW_CONCURRENCY must be a positive integer.");
+  for (const [key, name] of [["lines", "REVIEW_CONTEXT_LINES"], ["usages", "REVIEW_CONTEXT_USAGES"], ["maxChars", "REVIEW_CONTEXT_MAX_CHARS"]]) {
+    if (!Number.isInteger(cfg.context[key]) || cfg.context[key] < 0) errors.push(`${name} must be a non-negative integer.`);
+  }
+  if (!(cfg.budget.maxTokens >= 0)) errors.push("REVIEW_BUDGET_TOKENS must be a non-negative number.");
+  if (!(cfg.budget.maxCostUsd >= 0)) errors.push("REVIEW_BUDGET_USD must be a non-negative number.");
+  if (cfg.budget.pricing && !(cfg.budget.pricing.inputPerMTok >= 0 && cfg.budget.pricing.outputPerMTok >= 0)) {
+    errors.push("REVIEW_PRICE_INPUT_PER_MTOK / REVIEW_PRICE_OUTPUT_PER_MTOK must be non-negative numbers.");
+  }
+  if (cfg.budget.maxCostUsd && !cfg.budget.pricing) {
+    errors.push("REVIEW_BUDGET_USD needs REVIEW_PRICE_INPUT_PER_MTOK and REVIEW_PRICE_OUTPUT_PER_MTOK to estimate cost.");
+  }
+  if (cfg.fallbackModels.length && (cfg.provider === "codex" || cfg.provider === "mock")) {
+    errors.push(`REVIEW_FALLBACK_MODELS is not supported by the ${cfg.provider} provider.`);
+  }
+  if (cfg.ensemble.models.length === 1) errors.push("REVIEW_ENSEMBLE_MODELS needs at least two models (or \"allowlist\" with at least two MODEL_ALLOWLIST models).");
+  if (cfg.ensemble.models.length && cfg.fallbackModels.length) {
+    errors.push("REVIEW_FALLBACK_MODELS cannot be combined with REVIEW_ENSEMBLE_MODELS: a fallback would blur which model agreed.");
+  }
+  if (!(cfg.ensemble.minConfidence >= 0 && cfg.ensemble.minConfidence <= 1)) errors.push("REVIEW_ENSEMBLE_MIN_CONFIDENCE must be a number from 0 to 1.");
+  if (cfg.allowlist.length) {
+    // an ensemble replaces the single model
+    for (const m of cfg.ensemble.models.length ? cfg.ensemble.models : [cfg.model, ...cfg.fallbackModels]) {
+      if (!cfg.allowlist.includes(m)) errors.push(`Model "${m}" not in allowlist: ${cfg.allowlist.join(", ")}`);
+    }
+  }
+  return errors;
+}
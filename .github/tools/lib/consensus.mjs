@@ -0,0 +1,85 @@
+/**
+ * consensus.mjs
+ *
+ * Ensemble review: every batch goes to several models and their findings are clustered, so
+ * agreement between models becomes a confidence score.
+ * - two findings of different models are the same issue when they are on the same file, within
+ *   a few lines of each other, and their comments share enough words (or cite the same team rule)
+ * - `confidence` = models that reported the issue / models that answered the batch
+ * - findings below cfg.ensemble.minConfidence are `lowAgreement`: reported in a collapsed
+ *   section, never inline and never counted by the quality gate
+ */
+
+import { SEVERITIES } from "./findings-schema.mjs";
+import { GENERAL_RULE_ID } from "./rule-packs.mjs";
+
+const LINE_WINDOW = 3;
+const MIN_SIMILARITY = 0.25;
+
+const STOPWORDS = new Set(("a an and are as at be but by can could for from has have if in into is it its may might " +
+  "not of on or should so than that the their then there these this those to use used uses using was were when which " +
+  "will with would you your").split(" "));
+
+/** lower-case word stems of a comment, without stopwords */
+export function commentTerms(text) {
+  const terms = new Set();
+  for (const w of String(text || "").toLowerCase().match(/[a-z0-9_]+/g) || []) {
+    if (w.length < 3 || STOPWORDS.has(w)) continue;
+    terms.add(w.replace(/(?:ing|ed|es|s)$/, ""));
+  }
+  return terms;
+}
+
+/** Dice coefficient of two term sets (0..1) */
+export function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared += 1;
+  return (2 * shared) / (a.size + b.size);
+}
+
+const rank = (f) => SEVERITIES.indexOf(f.severity);
+
+function sameIssue(f, terms, cluster) {
+  if (f.file !== cluster.file || Math.abs(f.line - cluster.line) > LINE_WINDOW) return false;
+  if (f.ruleId && f.ruleId !== GENERAL_RULE_ID && f.ruleId === cluster.rep.ruleId) return true;
+  return cluster.members.some(m => similarity(terms, m.terms) >= MIN_SIMILARITY);
+}
+
+/**
+ * @param {Array<{ model: string, findings: object[] }>} answers one entry per model that answered
+ * @param {{ minConfidence: number }} opts
+ * @returns {object[]} one finding per cluster: the most severe report (first model wins ties), plus
+ *   `models`, `agreement` ("2/3"), `confidence` and `lowAgreement`
+ */
+export function clusterFindings(answers, { minConfidence }) {
+  const clusters = [];
+  for (const { model, findings } of answers) {
+    for (const f of findings) {
+      const terms = commentTerms(f.comment);
+      // a model counts once per cluster; its own near-duplicates start separate clusters
+      const hit = clusters.find(c => !c.models.has(model) && sameIssue(f, terms, c));
+      if (!hit) {
+        clusters.push({ file: f.file, line: f.line, rep: f, models: new Set([model]), members: [{ f, terms }] });
+        continue;
+      }
+      hit.models.add(model);
+      hit.members.push({ f, terms });
+      if (rank(f) < rank(hit.rep)) hit.rep = f;
+    }
+  }
+  const total = answers.length;
+  return clusters.map(c => {
+    const confidence = Number((c.models.size / total).toFixed(2));
+    return {
+      ...c.rep,
+      models: [...c.models],
+      agreement: `${c.models.size}/${total}`,
+      confidence,
+      lowAgreement: confidence < minConfidence
+    };
+  });
+}
+
+/** findings that count for the gate, the review event and inline comments */
+export const agreedFindings = (findings) => findings.filter(f => !f?.lowAgreement);
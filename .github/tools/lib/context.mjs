@@ -0,0 +1,118 @@
+/**
+ * context.mjs
+ *
+ * Read-only context for PR patches, so the model sees more than the raw hunks:
+ * - the file's import lines
+ * - the enclosing function / component / class of every changed range (or a window of lines
+ *   around it when the file has no outline)
+ * - for changed exported symbols, short snippets of where they are used elsewhere in the repo
+ * Context is capped per file (cfg.context.maxChars) so batches stay within their size limit.
+ */
+
+import { walk, readSource } from "./files.mjs";
+import { enclosingUnit, outlineSource } from "./outline.mjs";
+
+const MAX_SYMBOLS = 5;
+const USAGE_FILE_CHARS = 200_000;
+
+/** [startLine, endLine] new-file ranges touched by each hunk (pure deletions map to the line after) */
+export function changedRanges(patch) {
+  const ranges = [];
+  let newLine = 0;
+  let cur = null;
+  const flush = () => { if (cur) ranges.push(cur); cur = null; };
+  for (const L of String(patch || "").split("\n")) {
+    const h = /^@@ -\d+(?:,\d+)? \+(\d+)/.exec(L);
+    if (h) { flush(); newLine = parseInt(h[1], 10) || 0; continue; }
+    if (L.startsWith("+")) { cur = cur ? [cur[0], newLine] : [newLine, newLine]; newLine += 1; }
+    else if (L.startsWith("-")) { const at = Math.max(1, newLine); cur = cur ? [cur[0], Math.max(cur[1], at)] : [at, at]; }
+    else if (L.startsWith("\\")) continue;
+    else { flush(); newLine += 1; }
+  }
+  flush();
+  return ranges;
+}
+
+const numbered = (lines, from, to) =>
+  lines.slice(from - 1, to).map((l, i) => `${String(from + i).padStart(5)}| ${l}`).join("\n");
+
+/** lazily indexed repo sources for usage lookups */
+export function makeRepoIndex(scan) {
+  let sources = null;
+  return () => {
+    if (!sources) {
+      sources = walk(process.cwd(), scan).slice(0, scan.maxFiles).map(readSource).filter(s => s && s.src.length <= USAGE_FILE_CHARS);
+    }
+    return sources;
+  };
+}
+
+function usageSnippets(name, file, repoSources, max) {
+  const re = new RegExp(`\\b${name.replace(/[$]/g, "\\$")}\\b`);
+  const out = [];
+  for (const s of repoSources) {
+    if (s.rel === file) continue;
+    const lines = s.src.split(/\r?\n/);
+    for (let i = 0; i < lines.length && out.length < max; i++) {
+      if (re.test(lines[i])) out.push(`${s.rel}:${i + 1}| ${lines[i].trim().slice(0, 200)}`);
+    }
+    if (out.length >= max) break;
+  }
+  return out;
+}
+
+/**
+ * Context block for one patched file, or "" when there is nothing useful.
+ * @param {{ filename: string, patch: string }} file
+ * @param {{ readSource: (f: string) => string|null, repoSources: () => object[], context: { lines: number, usages: number, maxChars: number } }} opts
+ */
+export function buildPatchContext({ filename, patch }, { readSource: read, repoSources, context }) {
+  if (!patch || context.maxChars <= 0) return "";
+  const src = read(filename);
+  if (src == null) return "";
+  const lines = src.split(/\r?\n/);
+  const ranges = changedRanges(patch);
+  if (!ranges.length) return "";
+
+  let outline;
+  try { outline = outlineSource(filename, src); } catch { outline = { imports: [], units: [] }; }
+  const parts = [];
+
+  const importLines = outline.imports.flatMap(r => lines.slice(r.startLine - 1, r.endLine).map((l, i) => `${String(r.startLine + i).padStart(5)}| ${l}`));
+  if (importLines.length) parts.push(`imports:\n${importLines.slice(0, 40).join("\n")}`);
+
+  if (context.lines > 0) {
+    const shown = new Set();
+    for (const [from, to] of ranges) {
+      const unit = enclosingUnit(outline.units, from, to);
+      const key = unit ? `${unit.startLine}-${unit.endLine}` : null;
+      if (key && shown.has(key)) continue;
+      let start, end, label;
+      if (unit && unit.endLine - unit.startLine + 1 <= context.lines) {
+        [start, end, label] = [unit.startLine, unit.endLine, `enclosing ${unit.kind} \`${unit.name}\``];
+      } else {
+        // no outline, or a unit too large to show whole: a window around the change
+        const pad = Math.max(0, Math.floor((context.lines - (to - from + 1)) / 2));
+        [start, end] = [Math.max(1, from - pad), Math.min(lines.length, to + pad)];
+        label = unit ? `part of ${unit.kind} \`${unit.name}\` (lines ${unit.startLine}-${unit.endLine})` : "surrounding lines";
+      }
+      if (key) shown.add(key);
+      if (end >= start) parts.push(`${label} (lines ${start}-${end}):\n${numbered(lines, start, end)}`);
+    }
+  }
+
+  if (context.usages > 0) {
+    const changedExports = outline.units
+      .filter(u => u.exported && u.name !== "default" && ranges.some(([a, b]) => a <= u.endLine && b >= u.startLine))
+      .slice(0, MAX_SYMBOLS);
+    for (const u of changedExports) {
+      const snippets = usageSnippets(u.name.split(".").pop(), filename, repoSources(), context.usages);
+      if (snippets.length) parts.push(`usages of exported \`${u.name}\` elsewhere:\n${snippets.join("\n")}`);
+    }
+  }
+
+  if (!parts.length) return "";
+  let text = parts.join("\n\n");
+  if (text.length > context.maxChars) text = text.slice(0, context.maxChars) + "\n... [context trimmed]";
+  return text;
+}
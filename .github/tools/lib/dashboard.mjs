@@ -0,0 +1,192 @@
+/**
+ * dashboard.mjs
+ *
+ * Static HTML report of the full-repo history (history.mjs): one self-contained file, no
+ * external assets. Shows the finding trend per severity, the latest run's new and fixed
+ * findings, hotspots by file and directory, the most reported rules and a filterable
+ * findings table.
+ */
+
+import path from "path";
+import { SEVERITIES } from "./findings-schema.mjs";
+import { diffRuns } from "./history.mjs";
+
+const TREND_RUNS = 60;
+const HOTSPOTS_SHOWN = 15;
+const COLORS = { total: "#24292f", high: "#cf222e", medium: "#bc4c00", low: "#9a6700", info: "#0969da" };
+// hotspot score: severe findings weigh more
+const WEIGHTS = { high: 5, medium: 3, low: 1, info: 0 };
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]);
+const shortSha = (sha) => sha ? String(sha).slice(0, 7) : "—";
+const day = (iso) => String(iso || "").slice(0, 10);
+
+function trendChart(runs) {
+  const shown = runs.slice(-TREND_RUNS);
+  const [w, h, pad] = [760, 240, 36];
+  const max = Math.max(1, ...shown.map(r => r.counts.total));
+  const x = (i) => pad + (shown.length === 1 ? (w - 2 * pad) / 2 : (i * (w - 2 * pad)) / (shown.length - 1));
+  const y = (v) => h - pad - (v * (h - 2 * pad)) / max;
+  const series = ["total", ...SEVERITIES].map(key => {
+    const value = (r) => key === "total" ? r.counts.total : r.counts.bySeverity[key] || 0;
+    const points = shown.map((r, i) => `${x(i).toFixed(1)},${y(value(r)).toFixed(1)}`).join(" ");
+    const dots = shown.map((r, i) =>
+      `<circle cx="${x(i).toFixed(1)}" cy="${y(value(r)).toFixed(1)}" r="3" fill="${COLORS[key]}"><title>${esc(`${key}: ${value(r)} (${shortSha(r.commit)}, ${day(r.timestamp)})`)}</title></circle>`).join("");
+    return `<polyline fill="none" stroke="${COLORS[key]}" stroke-width="${key === "total" ? 2.5 : 1.5}" points="${points}"/>${dots}`;
+  }).join("\n");
+  const labels = shown.map((r, i) => i % Math.ceil(shown.length / 8) === 0 || i === shown.length - 1
+    ? `<text x="${x(i).toFixed(1)}" y="${h - pad + 16}" text-anchor="middle">${esc(shortSha(r.commit))}</text>` : "").join("");
+  const legend = ["total", ...SEVERITIES].map((k, i) =>
+    `<rect x="${pad + i * 90}" y="6" width="10" height="10" fill="${COLORS[k]}"/><text x="${pad + i * 90 + 14}" y="15">${k}</text>`).join("");
+  return `<svg viewBox="0 0 ${w} ${h}" role="img" aria-label="Findings per run">
+<line x1="${pad}" y1="${h - pad}" x2="${w - pad}" y2="${h - pad}" stroke="#d0d7de"/>
+<line x1="${pad}" y1="${pad}" x2="${pad}" y2="${h - pad}" stroke="#d0d7de"/>
+<text x="${pad - 6}" y="${y(max) + 4}" text-anchor="end">${max}</text><text x="${pad - 6}" y="${h - pad + 4}" text-anchor="end">0</text>
+${legend}
+${series}
+${labels}
+</svg>`;
+}
+
+function severityCells(counts) {
+  return SEVERITIES.map(s => `<td class="num">${counts[s] || 0}</td>`).join("");
+}
+
+/** files or directories ranked by weighted finding count */
+function hotspots(findings, keyOf) {
+  const by = new Map();
+  for (const f of findings) {
+    const key = keyOf(f);
+    const e = by.get(key) || { key, score: 0, counts: {} };
+    e.counts[f.severity] = (e.counts[f.severity] || 0) + 1;
+    e.score += WEIGHTS[f.severity] ?? 0;
+    by.set(key, e);
+  }
+  return [...by.values()]
+    .sort((a, b) => b.score - a.score || Object.values(b.counts).reduce((n, c) => n + c, 0) - Object.values(a.counts).reduce((n, c) => n + c, 0) || a.key.localeCompare(b.key))
+    .slice(0, HOTSPOTS_SHOWN);
+}
+
+function hotspotTable(title, rows) {
+  if (!rows.length) return `<h3>${esc(title)}</h3><p class="muted">No findings.</p>`;
+  const body = rows.map(r => `<tr><td><code>${esc(r.key)}</code></td><td class="num">${r.score}</td>${severityCells(r.counts)}</tr>`).join("\n");
+  return `<h3>${esc(title)}</h3><table><thead><tr><th>Path</th><th>Score</th>${SEVERITIES.map(s => `<th>${s}</th>`).join("")}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function findingRows(findings) {
+  return findings.map(f =>
+    `<tr data-severity="${esc(f.severity)}" data-rule="${esc(f.ruleId)}"><td><span class="sev ${esc(f.severity)}">${esc(f.severity)}</span></td>` +
+    `<td><code>${esc(f.file)}${f.line ? `:${f.line}` : ""}</code></td><td>${esc(f.ruleId)}</td><td>${esc(f.comment)}</td></tr>`).join("\n");
+}
+
+function changeTable(title, findings, previous) {
+  if (!previous) return `<h3>${esc(title)}</h3><p class="muted">No earlier run to compare with.</p>`;
+  if (!findings.length) return `<h3>${esc(title)}</h3><p class="muted">None.</p>`;
+  return `<h3>${esc(title)} (${findings.length})</h3><table><thead><tr><th>Severity</th><th>Location</th><th>Rule</th><th>Comment</th></tr></thead><tbody>\n${findingRows(findings)}\n</tbody></table>`;
+}
+
+const FILTER_SCRIPT = `
+const rows = [...document.querySelectorAll("#findings tbody tr")];
+const controls = ["severity", "rule", "text"].map(id => document.getElementById("filter-" + id));
+function applyFilter() {
+  const [sev, rule, text] = controls.map(c => c.value.toLowerCase());
+  let shown = 0;
+  for (const r of rows) {
+    const ok = (!sev || r.dataset.severity === sev) && (!rule || r.dataset.rule.toLowerCase() === rule) &&
+      (!text || r.textContent.toLowerCase().includes(text));
+    r.hidden = !ok;
+    if (ok) shown += 1;
+  }
+  document.getElementById("filter-count").textContent = shown + " of " + rows.length;
+}
+controls.forEach(c => c.addEventListener("input", applyFilter));
+applyFilter();
+`;
+
+const STYLE = `
+body { font: 14px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #24292f; margin: 24px auto; max-width: 1100px; padding: 0 16px; }
+h1 { font-size: 22px; } h2 { font-size: 18px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; margin-top: 32px; } h3 { font-size: 15px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; } th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; } td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.cards { display: flex; gap: 12px; flex-wrap: wrap; } .card { border: 1px solid #d0d7de; border-radius: 6px; padding: 8px 14px; min-width: 110px; }
+.card b { display: block; font-size: 22px; } .muted { color: #57606a; } .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+.sev { border-radius: 10px; padding: 0 8px; color: #fff; font-size: 12px; } .sev.high { background: ${COLORS.high}; } .sev.medium { background: ${COLORS.medium}; }
+.sev.low { background: ${COLORS.low}; } .sev.info { background: ${COLORS.info}; }
+svg { width: 100%; max-width: 760px; font-size: 11px; fill: #57606a; } .filters { display: flex; gap: 8px; align-items: center; }
+`;
+
+/**
+ * @param {object[]} runs history entries, oldest first (readHistory); the last one is reported
+ * @param {{ title?: string }} opts
+ * @returns {string} HTML document
+ */
+export function renderDashboard(runs, { title = "Full Repo Review" } = {}) {
+  const latest = runs[runs.length - 1];
+  if (!latest) return `<!doctype html><html><head><meta charset="utf-8"><title>${esc(title)}</title></head><body><p>No review runs recorded yet.</p></body></html>`;
+  const previous = runs.length > 1 ? runs[runs.length - 2] : null;
+  const { added, fixed } = diffRuns(previous, latest);
+  const delta = previous ? latest.counts.total - previous.counts.total : null;
+
+  const cards = [
+    ["Findings", latest.counts.total, delta == null ? "first run" : `${delta > 0 ? "+" : ""}${delta} vs previous`],
+    ...SEVERITIES.map(s => [s, latest.counts.bySeverity[s] || 0, ""]),
+    ["New", previous ? added.length : "—", ""],
+    ["Fixed", previous ? fixed.length : "—", ""]
+  ].map(([k, v, note]) => `<div class="card"><span class="muted">${esc(k)}</span><b>${esc(v)}</b>${note ? `<span class="muted">${esc(note)}</span>` : ""}</div>`).join("");
+
+  const rules = Object.entries(latest.counts.byRule).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, HOTSPOTS_SHOWN);
+  const ruleOptions = [...new Set(latest.findings.map(f => f.ruleId))].sort().map(r => `<option value="${esc(r.toLowerCase())}">${esc(r)}</option>`).join("");
+  const runRows = runs.slice(-TREND_RUNS).reverse().map(r =>
+    `<tr><td>${esc(day(r.timestamp))}</td><td><code>${esc(shortSha(r.commit))}</code></td><td>${esc(r.ref || "")}</td><td>${esc(r.model || "")}</td>` +
+    `<td class="num">${r.counts.total}</td>${severityCells(r.counts.bySeverity)}<td class="num">${r.files}</td></tr>`).join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p class="muted">Latest run: ${esc(latest.timestamp)} · commit <code>${esc(shortSha(latest.commit))}</code>${latest.ref ? ` on ${esc(latest.ref)}` : ""} · ${esc(latest.model || latest.provider)} · ${latest.files} file(s) · ${runs.length} run(s) recorded${latest.unreviewed ? ` · ⚠️ ${latest.unreviewed} batch(es) not reviewed` : ""}</p>
+<div class="cards">${cards}</div>
+
+<h2>Trend</h2>
+${trendChart(runs)}
+
+<h2>Changes since the previous run</h2>
+${changeTable("New findings", added, previous)}
+${changeTable("Fixed findings", fixed, previous)}
+
+<h2>Hotspots</h2>
+<div class="grid">
+<div>${hotspotTable("Files", hotspots(latest.findings, f => f.file))}</div>
+<div>${hotspotTable("Directories", hotspots(latest.findings, f => path.posix.dirname(f.file)))}</div>
+</div>
+<h3>Most reported rules</h3>
+<table><thead><tr><th>Rule</th><th>Findings</th></tr></thead><tbody>
+${rules.map(([r, n]) => `<tr><td>${esc(r)}</td><td class="num">${n}</td></tr>`).join("\n")}
+</tbody></table>
+
+<h2>Findings (${latest.findings.length})</h2>
+<div class="filters">
+<select id="filter-severity"><option value="">All severities</option>${SEVERITIES.map(s => `<option value="${s}">${s}</option>`).join("")}</select>
+<select id="filter-rule"><option value="">All rules</option>${ruleOptions}</select>
+<input id="filter-text" type="search" placeholder="Filter by file or text">
+<span id="filter-count" class="muted"></span>
+</div>
+<table id="findings"><thead><tr><th>Severity</th><th>Location</th><th>Rule</th><th>Comment</th></tr></thead><tbody>
+${findingRows(latest.findings)}
+</tbody></table>
+
+<h2>Runs</h2>
+<table><thead><tr><th>Date</th><th>Commit</th><th>Ref</th><th>Model</th><th>Total</th>${SEVERITIES.map(s => `<th>${s}</th>`).join("")}<th>Files</th></tr></thead><tbody>
+${runRows}
+</tbody></table>
+<script>${FILTER_SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,102 @@
+/**
+ * diff.mjs
+ *
+ * PR patch batching, patch parsing, and line / side anchors for inline review comments.
+ */
+
+import { groupByProfile } from "./profiles.mjs";
+
+/** `context` (context.mjs) follows the patch in a block the prompt marks as read-only */
+export function makeUnifiedChunk(filename, patch, context = "") {
+  const extra = context ? `=== CONTEXT: ${filename} (read-only, not part of the diff) ===\n${context}\n=== END CONTEXT ===\n\n` : "";
+  return `--- a/${filename}\n+++ b/${filename}\n${patch}\n\n${extra}`;
+}
+
+/**
+ * → [{ text, files: [filename], profile }], one language profile (profiles.mjs) per batch;
+ * a file's context is dropped when it alone would overflow a batch
+ */
+export function batchPRFiles(files, maxChars) {
+  const batches = [];
+  for (const { profile, items } of groupByProfile(files.filter(f => f.patch), f => f.filename)) {
+    let buf = { text: "", files: [], profile: profile.id };
+    for (const f of items) {
+      let chunk = makeUnifiedChunk(f.filename, f.patch, f.context);
+      if (chunk.length > maxChars && f.context) chunk = makeUnifiedChunk(f.filename, f.patch);
+      if ((buf.text.length + chunk.length) > maxChars && buf.text) {
+        batches.push(buf);
+        buf = { text: "", files: [], profile: profile.id };
+      }
+      buf.text += chunk;
+      buf.files.push(f.filename);
+    }
+    if (buf.text) batches.push(buf);
+  }
+  return batches;
+}
+
+const HUNK_RE = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Lines of a unified patch (as /pulls/{n}/files returns it) with their old / new file line numbers.
+ * Hunk line counts decide where a hunk ends, so "\ No newline at end of file" markers, trailing
+ * blank lines and anything outside a hunk are never mistaken for context.
+ * @returns {Array<{ type: "add"|"del"|"context", oldLine: number|null, newLine: number|null, hunk: number, text: string }>}
+ */
+export function parsePatch(patch) {
+  const out = [];
+  let oldLine = 0, newLine = 0, oldLeft = 0, newLeft = 0, hunk = -1;
+  for (const L of String(patch || "").replace(/\r$/gm, "").split("\n")) {
+    const h = HUNK_RE.exec(L);
+    if (h) {
+      [oldLine, newLine] = [Number(h[1]), Number(h[3])];
+      [oldLeft, newLeft] = [Number(h[2] ?? 1), Number(h[4] ?? 1)];
+      hunk += 1;
+      continue;
+    }
+    if (oldLeft <= 0 && newLeft <= 0) continue;
+    const text = L.slice(1);
+    if (L.startsWith("+") && newLeft > 0) {
+      out.push({ type: "add", oldLine: null, newLine: newLine++, hunk, text });
+      newLeft -= 1;
+    } else if (L.startsWith("-") && oldLeft > 0) {
+      out.push({ type: "del", oldLine: oldLine++, newLine: null, hunk, text });
+      oldLeft -= 1;
+    } else if ((L.startsWith(" ") || L === "") && oldLeft > 0 && newLeft > 0) {
+      out.push({ type: "context", oldLine: oldLine++, newLine: newLine++, hunk, text });
+      oldLeft -= 1;
+      newLeft -= 1;
+    }
+  }
+  return out;
+}
+
+/** [newLineNumber, code] for every line a unified patch adds */
+export const addedLines = (patch) => parsePatch(patch).filter(l => l.type === "add").map(l => [l.newLine, l.text]);
+
+/** the old file's lines that a unified patch shows (removed and context), at their index; the rest are holes */
+export function oldLinesFromPatch(patch) {
+  const lines = [];
+  for (const l of parsePatch(patch)) if (l.oldLine != null) lines[l.oldLine - 1] = l.text;
+  return lines;
+}
+
+/**
+ * Review-comment anchor for lines `start`..`end` of one side of the diff ("RIGHT" = new file,
+ * "LEFT" = old file, e.g. removed code): the `line` / `side` / `start_line` / `start_side`
+ * fields of a pull request review comment. GitHub only accepts lines shown in the diff and
+ * ranges inside one hunk, so the range is narrowed to its lines in the first hunk it overlaps.
+ * @param {string|object[]} patch unified patch, or parsePatch() output
+ * @returns {{ line: number, side: string, start_line?: number, start_side?: string }|null}
+ *   null when no line of the range is in the diff
+ */
+export function anchorForRange(patch, { start, end = start, side = "RIGHT" }) {
+  const lines = Array.isArray(patch) ? patch : parsePatch(patch);
+  const key = side === "LEFT" ? "oldLine" : "newLine";
+  const [lo, hi] = [Number(start), Math.max(Number(start), Number(end ?? start))];
+  const shown = lines.filter(l => l[key] != null && l[key] >= lo && l[key] <= hi);
+  if (!shown.length) return null;
+  const inHunk = shown.filter(l => l.hunk === shown[0].hunk).map(l => l[key]);
+  const [first, last] = [Math.min(...inHunk), Math.max(...inHunk)];
+  return { line: last, side, ...(first < last ? { start_line: first, start_side: side } : {}) };
+}
@@ -0,0 +1,164 @@
+/**
+ * feedback.mjs
+ *
+ * Triage feedback store: what the team said about earlier findings, keyed by fingerprint
+ * (baseline.mjs). PR runs read it from the reviewer's own inline threads (pr-review.mjs readTriage):
+ * - 👎 on the comment, or a reply starting with "/review ignore [reason]" → false positive
+ * - 👍 on the comment → confirmed
+ * False positives are suppressed in later runs and shown to the model as examples of what not to
+ * report for the same files; both verdicts feed per-rule precision in the summary.
+ *
+ * The store is a JSON file (REVIEW_FEEDBACK_PATH, default .github/REVIEW_RULES/feedback.json) that
+ * runs update in place; the workflows keep it in the Actions cache. The committed file is merged
+ * in underneath: PR runs take it from the base revision, never from the PR's own checkout, so a
+ * PR cannot mark its findings as false positives. A verdict whose thread no longer carries the
+ * feedback (reaction removed, reply deleted) is dropped on that PR's next run.
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_FEEDBACK_PATH = path.join(".github", "REVIEW_RULES", "feedback.json");
+const FEEDBACK_VERSION = 1;
+export const VERDICTS = ["false-positive", "confirmed"];
+
+export const IGNORE_COMMAND_RE = /^\s*\/review\s+ignore\b[ \t]*(.*)$/im;
+const EXAMPLES_PER_BATCH = 8;
+const TEXT_MAX = 200;
+
+const oneLine = (s) => String(s || "").replace(/\s+/g, " ").trim().slice(0, TEXT_MAX);
+const ruleOf = (e) => e.ruleId || "general";
+
+/**
+ * Read a store. `text` (the file's content, or null for none) replaces reading `file`,
+ * which stays the path the store is saved to.
+ */
+export function loadFeedback(file = DEFAULT_FEEDBACK_PATH, { text } = {}) {
+  const store = { path: file, entries: new Map() };
+  try {
+    if (text === null) return store;
+    const j = JSON.parse(text ?? fs.readFileSync(file, "utf8"));
+    for (const e of Array.isArray(j?.findings) ? j.findings : []) {
+      if (e?.fingerprint && VERDICTS.includes(e.verdict)) store.entries.set(e.fingerprint, e);
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`⚠️ Could not read feedback store ${file}: ${e.message}`);
+  }
+  return store;
+}
+
+export function saveFeedback(store) {
+  const findings = [...store.entries.values()]
+    .sort((a, b) => a.file.localeCompare(b.file) || a.fingerprint.localeCompare(b.fingerprint));
+  fs.mkdirSync(path.dirname(store.path), { recursive: true });
+  fs.writeFileSync(store.path, JSON.stringify({ version: FEEDBACK_VERSION, findings }, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Add the verdicts of `from` that `store` has none for; the store's own verdicts are newer.
+ * @returns {number} entries added
+ */
+export function mergeFeedback(store, from) {
+  let added = 0;
+  for (const [fingerprint, e] of from.entries) {
+    if (store.entries.has(fingerprint)) continue;
+    store.entries.set(fingerprint, e);
+    added += 1;
+  }
+  return added;
+}
+
+/**
+ * Verdict of one thread from its trusted reactions and replies; a false-positive signal wins
+ * over a 👍. `trusted(login)` decides whose feedback counts.
+ * @param {{ reactions: Array<{ content: string, login: string }>, replies: Array<{ login: string, body: string }> }} thread
+ * @returns {{ verdict: string, by: string, reason: string } | null}
+ */
+export function threadVerdict(thread, trusted) {
+  const ignore = thread.replies.find(r => trusted(r.login) && IGNORE_COMMAND_RE.test(r.body));
+  if (ignore) return { verdict: "false-positive", by: ignore.login, reason: oneLine(IGNORE_COMMAND_RE.exec(ignore.body)[1]) };
+  const down = thread.reactions.find(r => r.content === "THUMBS_DOWN" && trusted(r.login));
+  if (down) return { verdict: "false-positive", by: down.login, reason: "" };
+  const up = thread.reactions.find(r => r.content === "THUMBS_UP" && trusted(r.login));
+  if (up) return { verdict: "confirmed", by: up.login, reason: "" };
+  return null;
+}
+
+/**
+ * Merge one PR's triage into the store. `items`: one per own thread,
+ * { fingerprint, thread, finding: { file, line, ruleId, severity, comment }, verdict: threadVerdict() | null }.
+ * Entries recorded from a thread of this PR that has no verdict any more are dropped.
+ * @returns {{ recorded: number, retracted: number, changed: boolean }}
+ */
+export function applyTriage(store, items, { pr, now = new Date() }) {
+  let recorded = 0;
+  let retracted = 0;
+  let changed = false;
+  for (const { fingerprint, thread, finding, verdict } of items) {
+    const prev = store.entries.get(fingerprint);
+    if (!verdict) {
+      if (prev && prev.pr === pr && prev.thread === thread) {
+        store.entries.delete(fingerprint);
+        retracted += 1;
+        changed = true;
+      }
+      continue;
+    }
+    recorded += 1;
+    if (prev && prev.verdict === verdict.verdict && prev.by === verdict.by && prev.reason === verdict.reason) continue;
+    store.entries.set(fingerprint, {
+      fingerprint,
+      verdict: verdict.verdict,
+      file: finding.file,
+      line: finding.line ?? null,
+      ruleId: finding.ruleId || null,
+      severity: finding.severity || "info",
+      comment: oneLine(finding.comment),
+      reason: verdict.reason,
+      by: verdict.by,
+      pr,
+      thread,
+      at: now.toISOString()
+    });
+    changed = true;
+  }
+  return { recorded, retracted, changed };
+}
+
+/** fingerprints of findings marked as false positives */
+export function falsePositives(store) {
+  return new Set([...(store?.entries.values() || [])].filter(e => e.verdict === "false-positive").map(e => e.fingerprint));
+}
+
+/** false positives on `files`, most recent first, for a batch prompt */
+export function falsePositiveExamples(store, files) {
+  if (!store?.entries.size) return [];
+  const wanted = new Set(files);
+  return [...store.entries.values()]
+    .filter(e => e.verdict === "false-positive" && wanted.has(e.file))
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)))
+    .slice(0, EXAMPLES_PER_BATCH);
+}
+
+export function formatExamples(examples) {
+  return examples.map(e =>
+    `- ${e.file}${e.line ? `:${e.line}` : ""} [${ruleOf(e)}] "${e.comment}"${e.reason ? ` — team: "${e.reason}"` : ""}`
+  ).join("\n");
+}
+
+/**
+ * Per-rule triage counts over the whole store, most triaged first.
+ * @returns {Array<{ ruleId: string, confirmed: number, falsePositive: number, precision: number }>}
+ */
+export function precisionByRule(store) {
+  const byRule = new Map();
+  for (const e of store?.entries.values() || []) {
+    const row = byRule.get(ruleOf(e)) || { ruleId: ruleOf(e), confirmed: 0, falsePositive: 0 };
+    if (e.verdict === "confirmed") row.confirmed += 1;
+    else row.falsePositive += 1;
+    byRule.set(row.ruleId, row);
+  }
+  return [...byRule.values()]
+    .map(r => ({ ...r, precision: r.confirmed / (r.confirmed + r.falsePositive) }))
+    .sort((a, b) => (b.confirmed + b.falsePositive) - (a.confirmed + a.falsePositive) || a.ruleId.localeCompare(b.ruleId));
+}
@@ -0,0 +1,125 @@
+/**
+ * files.mjs
+ *
+ * Full-repo file discovery and batching.
+ */
+
+import fs from "fs";
+import path from "path";
+import { chunkSource, numberLines } from "./chunking.mjs";
+import { matchesAny } from "./glob.mjs";
+import { groupByImports } from "./import-graph.mjs";
+import { groupByProfile } from "./profiles.mjs";
+
+export const normalizeRel = (p) => String(p || "").replace(/\\/g, "/").replace(/^\.\//, "");
+
+const relOf = (p) => normalizeRel(path.isAbsolute(p) ? path.relative(process.cwd(), p) : p);
+
+const isExcludedDir = (p, scan) => {
+  const rel = relOf(p);
+  const parts = rel.split("/");
+  return scan.excludeDirs.some(d => d.includes("/") ? (rel === d || rel.startsWith(d + "/")) : parts.includes(d)) ||
+    matchesAny(`${rel}/`, scan.exclude || []) || Boolean(scan.isIgnored?.(rel, true));
+};
+const hasGoodExt = (file, scan) => scan.include
+  ? matchesAny(relOf(file), scan.include)
+  : scan.includeExts.some(ext => file.toLowerCase().endsWith(ext));
+
+export function isSensitivePath(p, scan) {
+  if (scan.excludeFiles.includes(path.basename(p))) return true;
+  if (scan.sensitiveGlobs.some(re => re.test(p))) return true;
+  if (scan.sensitive?.length && matchesAny(relOf(p), scan.sensitive)) return true;
+  return false;
+}
+
+/**
+ * Outside the review scope whatever the include list says: excluded dirs / files / globs,
+ * .reviewignore and .gitignore rules, sensitive paths. Used for PR and CLI patches.
+ */
+const isExcludedFile = (p, scan) => {
+  const rel = relOf(p);
+  return isSensitivePath(p, scan) || matchesAny(rel, scan.exclude || []) || Boolean(scan.isIgnored?.(rel));
+};
+
+export function isExcludedPath(p, scan) {
+  const rel = relOf(p);
+  if (isExcludedFile(rel, scan)) return true;
+  const dirs = rel.split("/").slice(0, -1);
+  return dirs.some((_, i) => isExcludedDir(dirs.slice(0, i + 1).join("/"), scan));
+}
+
+export function walk(dir, scan) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!isExcludedDir(full, scan)) out.push(...walk(full, scan));
+    } else if (hasGoodExt(full, scan) && !isExcludedFile(full, scan)) {
+      out.push(full);
+    }
+  }
+  return out;
+}
+
+export function readSource(p) {
+  let src = "";
+  try { src = fs.readFileSync(p, "utf8"); } catch { return null; }
+  if (!src.trim()) return null;
+  return { rel: normalizeRel(path.relative(process.cwd(), p)), src };
+}
+
+const chunkOptions = (scan) => ({ maxChars: scan.maxFileChars, overlapLines: scan.chunkOverlapLines, maxChunks: scan.maxChunksPerFile });
+
+/** ranges of a source that no chunk covers in full → [{ file, startLine, endLine, reason }] */
+export function skippedRanges(s, scan) {
+  if (s.src.length <= scan.maxFileChars) return [];
+  return chunkSource(s, chunkOptions(scan)).skipped.map(r => ({ file: s.rel, ...r }));
+}
+
+/** one batch part per chunk: whole files as they are, chunks of large files with line numbers */
+function fileParts(s, scan, skipped) {
+  if (s.src.length <= scan.maxFileChars) return [{ file: s.rel, text: `\n// ===== FILE: ${s.rel} =====\n${s.src}` }];
+  const { chunks, skipped: ranges } = chunkSource(s, chunkOptions(scan));
+  for (const r of ranges) skipped.push({ file: s.rel, ...r });
+  const total = s.src.replace(/\r?\n$/, "").split(/\r?\n/).length;
+  return chunks.map((c, i) => ({
+    file: s.rel,
+    chunk: { file: s.rel, startLine: c.startLine, endLine: c.endLine },
+    text: `\n// ===== FILE: ${s.rel} — lines ${c.startLine}-${c.endLine} of ${total} (part ${i + 1}/${chunks.length}; numbered) =====\n` +
+      numberLines(c.lines, c.startLine)
+  }));
+}
+
+/**
+ * → { batches: [{ text, files: [rel], chunks: [{ file, startLine, endLine }], profile }], skipped: [{ file, startLine, endLine, reason }] }
+ * Every batch holds files of one language profile (profiles.mjs). Within a profile, related files
+ * (import graph, then directory) share batches where they fit; large files are split into
+ * overlapping chunks (chunking.mjs) so findings can be attributed back to file lines.
+ */
+export function batchesFromFiles(sources, scan) {
+  const skipped = [];
+  const batches = [];
+  let buf;
+  const flush = () => {
+    if (buf?.text) batches.push(buf);
+    buf = { text: "", files: [], chunks: [], profile: buf?.profile };
+  };
+  for (const { profile, items } of groupByProfile(sources, s => s.rel)) {
+    flush();
+    buf.profile = profile.id;
+    for (const group of groupByImports(items)) {
+      const parts = group.flatMap(s => fileParts(s, scan, skipped));
+      const size = parts.reduce((n, p) => n + p.text.length, 0);
+      // start a group in a fresh batch when that keeps it together
+      if (buf.text && buf.text.length + size > scan.maxBatchChars && size <= scan.maxBatchChars) flush();
+      for (const part of parts) {
+        if ((buf.text.length + part.text.length) > scan.maxBatchChars && buf.text) flush();
+        buf.text += part.text;
+        if (!buf.files.includes(part.file)) buf.files.push(part.file);
+        if (part.chunk) buf.chunks.push(part.chunk);
+      }
+    }
+  }
+  flush();
+  return { batches, skipped };
+}
@@ -0,0 +1,140 @@
+/**
+ * findings-schema.mjs
+ *
+ * Strict schema for model review output, plus batch-aware checks:
+ * findings must point at a file of the batch and at a line that exists in it.
+ * A finding may carry a structured `edit` (whole-line replacement, see fixes.mjs); the older
+ * free-form `suggestion` string is still accepted.
+ * `endLine` makes a finding span lines line..endLine; `side: "LEFT"` points it at removed code
+ * (old-file line numbers), the default "RIGHT" at the new file.
+ */
+
+export const SEVERITIES = ["high", "medium", "low", "info"];
+export const SIDES = ["RIGHT", "LEFT"];
+
+/** JSON Schema sent to providers that support structured output */
+export const REVIEW_OUTPUT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["findings", "summary"],
+  properties: {
+    findings: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["file", "line", "endLine", "side", "severity", "ruleId", "comment", "edit"],
+        properties: {
+          file: { type: "string" },
+          line: { type: "integer", minimum: 1 },
+          endLine: { type: ["integer", "null"], minimum: 1 },
+          side: { type: "string", enum: SIDES },
+          severity: { type: "string", enum: SEVERITIES },
+          ruleId: { type: "string" },
+          comment: { type: "string" },
+          edit: {
+            type: ["object", "null"],
+            additionalProperties: false,
+            required: ["startLine", "endLine", "replacement"],
+            properties: {
+              startLine: { type: "integer", minimum: 1 },
+              endLine: { type: "integer", minimum: 1 },
+              replacement: { type: "string" }
+            }
+          }
+        }
+      }
+    },
+    summary: { type: "string" }
+  }
+};
+
+const normalizeRel = (p) => String(p || "").replace(/\\/g, "/").replace(/^\.\//, "");
+
+function checkEdit(e, at) {
+  if (typeof e !== "object" || Array.isArray(e)) return [`${at} must be an object or null`];
+  const errs = [];
+  if (!Number.isInteger(e.startLine) || e.startLine < 1) errs.push(`${at}.startLine must be a positive integer`);
+  if (!Number.isInteger(e.endLine) || e.endLine < e.startLine) errs.push(`${at}.endLine must be an integer >= startLine`);
+  if (typeof e.replacement !== "string") errs.push(`${at}.replacement must be a string`);
+  return errs;
+}
+
+/**
+ * Check the shape of a parsed response.
+ * @returns {{ errors: string[], findings: object[] }} findings that passed, normalized
+ */
+export function checkReviewShape(obj) {
+  const errors = [];
+  const findings = [];
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return { errors: ["response must be a single JSON object"], findings };
+  }
+  if (!Array.isArray(obj.findings)) errors.push(`"findings" must be an array`);
+  if (typeof obj.summary !== "string") errors.push(`"summary" must be a string`);
+
+  (Array.isArray(obj.findings) ? obj.findings : []).forEach((f, i) => {
+    const at = `findings[${i}]`;
+    const errs = [];
+    if (!f || typeof f !== "object" || Array.isArray(f)) { errors.push(`${at} must be an object`); return; }
+    if (typeof f.file !== "string" || !f.file.trim()) errs.push(`${at}.file must be a non-empty string`);
+    if (!Number.isInteger(f.line) || f.line < 1) errs.push(`${at}.line must be a positive integer (got ${JSON.stringify(f.line)})`);
+    if (f.endLine != null && (!Number.isInteger(f.endLine) || f.endLine < f.line)) errs.push(`${at}.endLine must be null or an integer >= line (got ${JSON.stringify(f.endLine)})`);
+    if (f.side != null && !SIDES.includes(f.side)) errs.push(`${at}.side must be one of ${SIDES.join("|")} (got ${JSON.stringify(f.side)})`);
+    if (!SEVERITIES.includes(f.severity)) errs.push(`${at}.severity must be one of ${SEVERITIES.join("|")} (got ${JSON.stringify(f.severity)})`);
+    if (typeof f.comment !== "string" || !f.comment.trim()) errs.push(`${at}.comment must be a non-empty string`);
+    if (f.ruleId !== undefined && typeof f.ruleId !== "string") errs.push(`${at}.ruleId must be a string`);
+    if (f.suggestion !== undefined && f.suggestion !== null && typeof f.suggestion !== "string") errs.push(`${at}.suggestion must be a string`);
+    if (f.edit !== undefined && f.edit !== null) errs.push(...checkEdit(f.edit, `${at}.edit`));
+    if (errs.length) { errors.push(...errs); return; }
+    const removed = f.side === "LEFT";
+    findings.push({
+      file: normalizeRel(f.file),
+      line: f.line,
+      ...(f.endLine > f.line ? { endLine: f.endLine } : {}),
+      ...(removed ? { side: "LEFT" } : {}),
+      severity: f.severity,
+      ...(f.ruleId ? { ruleId: f.ruleId } : {}),
+      comment: f.comment.trim(),
+      ...(f.suggestion ? { suggestion: f.suggestion } : {}),
+      // removed code cannot be edited
+      ...(f.edit && !removed ? { edit: { startLine: f.edit.startLine, endLine: f.edit.endLine, replacement: f.edit.replacement } } : {})
+    });
+  });
+  return { errors, findings };
+}
+
+/**
+ * Drop findings that point outside the batch or past the end of a file.
+ * @param {string[]} files batch files
+ * @param {Map<string, number>} lineCounts known line counts (files missing from the map are not checked)
+ */
+export function filterToBatch(findings, files, lineCounts = new Map()) {
+  const inBatch = new Set(files.map(normalizeRel));
+  const dropped = { outsideBatch: 0, beyondEof: 0 };
+  const kept = [];
+  for (let f of findings) {
+    // models sometimes echo the diff header prefix ("b/src/x.js")
+    const unprefixed = f.file.replace(/^[ab]\//, "");
+    if (!inBatch.has(f.file) && inBatch.has(unprefixed)) f = { ...f, file: unprefixed };
+    if (!inBatch.has(f.file)) { dropped.outsideBatch += 1; continue; }
+    // line counts are of the new file; removed lines are numbered in the old one
+    const max = f.side === "LEFT" ? 0 : lineCounts.get(f.file);
+    if (max && f.line > max) { dropped.beyondEof += 1; continue; }
+    kept.push(f);
+  }
+  return { findings: kept, dropped };
+}
+
+export function repairPrompt(originalPrompt, badResponse, errors) {
+  const shown = String(badResponse ?? "").slice(0, 4000);
+  return `${originalPrompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED:
+${shown || "(empty response)"}
+
+Problems:
+${errors.slice(0, 20).map(e => `- ${e}`).join("\n")}
+
+Return the corrected review as exactly ONE JSON object matching the schema above. No prose, no markdown, no code fences.`;
+}
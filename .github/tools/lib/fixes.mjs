@@ -0,0 +1,149 @@
+/**
+ * fixes.mjs
+ *
+ * Structured edits attached to findings as `edit: { startLine, endLine, replacement, original }`.
+ * - Lines are 1-based, inclusive, in the reviewed (head) revision; `replacement` replaces those
+ *   whole lines ("" deletes them).
+ * - `original` is the text the lines held when the review ran: edits are applied only while
+ *   the file still matches, and overlapping edits are skipped (higher severity wins).
+ * - Output: edited files in the working tree, and/or one unified .patch for `git apply`.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const CONTEXT = 3;
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2, info: 3 };
+
+export const replacementLines = (text) => text === "" ? [] : String(text).replace(/\r?\n$/, "").split(/\r?\n/);
+
+/**
+ * Record the lines an edit replaces; drop edits outside the file.
+ * @param {string[]|null} lines current content of the finding's file
+ * @returns {{ finding: object, dropped: boolean }}
+ */
+export function attachOriginal(f, lines) {
+  if (!f.edit) return { finding: f, dropped: false };
+  const { startLine, endLine } = f.edit;
+  if (!lines || startLine < 1 || endLine < startLine || endLine > lines.length) {
+    const { edit, ...rest } = f;
+    return { finding: rest, dropped: true };
+  }
+  return { finding: { ...f, edit: { ...f.edit, original: lines.slice(startLine - 1, endLine).join("\n") } }, dropped: false };
+}
+
+function readText(file) {
+  try { return fs.readFileSync(file, "utf8"); } catch { return null; }
+}
+
+function splitText(text) {
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(eol);
+  const trailing = lines.length > 1 && lines[lines.length - 1] === "";
+  if (trailing) lines.pop();
+  return { lines, eol, trailing };
+}
+
+/** ordered, non-overlapping edits per file; the rest is returned as `overlapping` */
+export function planEdits(findings) {
+  const byFile = new Map();
+  const overlapping = [];
+  const ranked = findings.filter(f => f?.edit && f.file)
+    .sort((a, b) => (SEVERITY_RANK[a.severity] ?? 9) - (SEVERITY_RANK[b.severity] ?? 9));
+  for (const f of ranked) {
+    const list = byFile.get(f.file) || [];
+    if (list.some(g => f.edit.startLine <= g.edit.endLine && g.edit.startLine <= f.edit.endLine)) {
+      overlapping.push(f);
+      continue;
+    }
+    list.push(f);
+    byFile.set(f.file, list);
+  }
+  for (const list of byFile.values()) list.sort((a, b) => a.edit.startLine - b.edit.startLine);
+  return { byFile, overlapping };
+}
+
+const NO_EOL = "\\ No newline at end of file";
+
+/**
+ * unified-diff hunks for sorted, non-overlapping edits of `lines`
+ * (`noEol`: the file does not end with a newline, which git apply needs to be told)
+ */
+export function diffHunks(lines, edits, { noEol = false } = {}) {
+  const groups = [];
+  for (const e of edits) {
+    const last = groups[groups.length - 1];
+    if (last && e.startLine - last[last.length - 1].endLine - 1 <= 2 * CONTEXT) last.push(e);
+    else groups.push([e]);
+  }
+
+  const hunks = [];
+  let delta = 0;
+  for (const group of groups) {
+    const oldStart = Math.max(1, group[0].startLine - CONTEXT);
+    const oldEnd = Math.min(lines.length, group[group.length - 1].endLine + CONTEXT);
+    const body = [];
+    let added = 0;
+    let removed = 0;
+    let n = oldStart;
+    const atEof = (line) => noEol && line === lines.length;
+    for (const e of group) {
+      for (; n < e.startLine; n++) body.push(` ${lines[n - 1]}`, ...(atEof(n) ? [NO_EOL] : []));
+      for (; n <= e.endLine; n++) { body.push(`-${lines[n - 1]}`, ...(atEof(n) ? [NO_EOL] : [])); removed += 1; }
+      for (const r of replacementLines(e.replacement)) { body.push(`+${r}`); added += 1; }
+      if (atEof(e.endLine) && replacementLines(e.replacement).length) body.push(NO_EOL);
+    }
+    for (; n <= oldEnd; n++) body.push(` ${lines[n - 1]}`, ...(atEof(n) ? [NO_EOL] : []));
+    const oldCount = oldEnd - oldStart + 1;
+    const newCount = oldCount - removed + added;
+    hunks.push(`@@ -${oldStart},${oldCount} +${oldStart + delta},${newCount} @@\n${body.join("\n")}`);
+    delta += added - removed;
+  }
+  return hunks.join("\n");
+}
+
+/**
+ * Check every planned edit against the files under `root`, then optionally write them.
+ * @param {object[]} findings
+ * @param {{ root?: string, write?: boolean }} opts
+ * @returns {{ applied: object[], stale: object[], overlapping: object[], files: string[], patch: string }}
+ */
+export function applyFixes(findings, { root = process.cwd(), write = false } = {}) {
+  const { byFile, overlapping } = planEdits(findings);
+  const applied = [];
+  const stale = [];
+  const files = [];
+  const patches = [];
+
+  for (const [file, planned] of byFile) {
+    const abs = path.join(root, file);
+    const text = readText(abs);
+    if (text == null) { stale.push(...planned); continue; }
+    const { lines, eol, trailing } = splitText(text);
+
+    const ok = planned.filter(f => {
+      const current = lines.slice(f.edit.startLine - 1, f.edit.endLine).join("\n");
+      const matches = f.edit.endLine <= lines.length && f.edit.original != null && current === f.edit.original;
+      if (!matches) stale.push(f);
+      return matches;
+    });
+    if (!ok.length) continue;
+
+    const edits = ok.map(f => f.edit);
+    patches.push(`--- a/${file}\n+++ b/${file}\n${diffHunks(lines, edits, { noEol: !trailing })}\n`);
+
+    const next = [...lines];
+    for (const e of [...edits].reverse()) next.splice(e.startLine - 1, e.endLine - e.startLine + 1, ...replacementLines(e.replacement));
+    if (write) fs.writeFileSync(abs, next.join(eol) + (trailing ? eol : ""), "utf8");
+    applied.push(...ok);
+    files.push(file);
+  }
+
+  return { applied, stale, overlapping, files, patch: patches.join("") };
+}
+
+/** `-old` / `+new` lines of one edit, for ```diff blocks and terminal output */
+export function editDiffLines(edit) {
+  const old = edit.original != null ? edit.original.split("\n").map(l => `-${l}`) : [];
+  return [...old, ...replacementLines(edit.replacement).map(l => `+${l}`)];
+}
@@ -0,0 +1,131 @@
+/**
+ * git.mjs
+ *
+ * Local git plumbing for the CLI: turns `git diff` output into the same per-file shape the
+ * GitHub API returns for /pulls/{n}/files ({ filename, status, patch }), so local reviews
+ * go through the PR pipeline unchanged.
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+
+// core.quotePath=false: non-ASCII paths as they are; git still quotes paths with ", \ or control characters
+const DIFF_ARGS = ["-c", "core.quotePath=false", "diff", "--no-color", "--no-ext-diff", "--find-renames", "-U3"];
+
+export function git(args, { cwd = process.cwd() } = {}) {
+  try {
+    return execFileSync("git", args, { cwd, encoding: "utf8", maxBuffer: 64 * 1024 * 1024, stdio: ["ignore", "pipe", "pipe"] });
+  } catch (e) {
+    const msg = String(e.stderr || e.message || e).trim();
+    throw new Error(`git ${args.join(" ")} failed: ${msg}`);
+  }
+}
+
+export const repoRoot = (cwd) => git(["rev-parse", "--show-toplevel"], { cwd }).trim();
+
+const C_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, "\"": 34, "\\": 92 };
+
+/** a path as git prints it: bare, or C-quoted ("caf\303\251.js", octal escapes are UTF-8 bytes) */
+export function unquotePath(p) {
+  if (!p.startsWith("\"")) return p;
+  const bytes = [];
+  for (const m of p.slice(1, -1).matchAll(/\\([0-7]{3}|.)|[^\\]+/gs)) {
+    if (m[1] === undefined) bytes.push(...Buffer.from(m[0], "utf8"));
+    else bytes.push(m[1].length === 3 ? parseInt(m[1], 8) : C_ESCAPES[m[1]] ?? m[1].charCodeAt(0));
+  }
+  return Buffer.from(bytes).toString("utf8");
+}
+
+/** path from a header field, without its "a/" / "b/" prefix (---/+++ lines end in a tab when the path has spaces) */
+const diffPath = (field, prefix) => {
+  const p = unquotePath(field);
+  return p.startsWith(prefix) ? p.slice(prefix.length) : p;
+};
+
+const QUOTED = String.raw`"(?:[^"\\]|\\.)*"`;
+const HEADER_RE = new RegExp(String.raw`^diff --git (${QUOTED}|a/.+?) (${QUOTED}|b/.+)$`);
+
+/**
+ * Split multi-file `git diff` output into { filename, status, patch } entries.
+ * Binary files and pure renames have no patch (like the GitHub API).
+ */
+export function parseGitDiff(out) {
+  const files = [];
+  let cur = null;
+  let inHunks = false;
+  const flush = () => {
+    if (!cur) return;
+    const patch = cur.hunks.join("\n").replace(/\n$/, "");
+    files.push({ filename: cur.filename, status: cur.status, ...(patch ? { patch } : {}) });
+  };
+  for (const line of out.split("\n")) {
+    const head = HEADER_RE.exec(line);
+    if (head) {
+      flush();
+      cur = { filename: diffPath(head[2], "b/"), status: "modified", hunks: [] };
+      inHunks = false;
+      continue;
+    }
+    if (!cur) continue;
+    if (!inHunks) {
+      if (line.startsWith("new file mode")) cur.status = "added";
+      else if (line.startsWith("deleted file mode")) cur.status = "removed";
+      else if (line.startsWith("rename to ")) { cur.status = "renamed"; cur.filename = unquotePath(line.slice(10)); }
+      else if (/^\+\+\+ "?b\//.test(line)) cur.filename = diffPath(line.slice(4).replace(/\t$/, ""), "b/");
+      else if (/^--- "?a\//.test(line) && cur.status === "removed") cur.filename = diffPath(line.slice(4).replace(/\t$/, ""), "a/");
+      if (!line.startsWith("@@")) continue;
+      inHunks = true;
+    }
+    cur.hunks.push(line);
+  }
+  flush();
+  return files;
+}
+
+/**
+ * `range` like "main..HEAD", "main...HEAD" or "main" (that ref vs. the working tree);
+ * empty → uncommitted changes vs. HEAD.
+ */
+export function diffFiles(range, { cwd } = {}) {
+  return parseGitDiff(git([...DIFF_ARGS, range || "HEAD", "--"], { cwd }));
+}
+
+export function stagedFiles({ cwd } = {}) {
+  return parseGitDiff(git([...DIFF_ARGS, "--cached", "--"], { cwd }));
+}
+
+/** Whole files as all-added patches (`review files <paths>`); paths relative to cwd */
+export function wholeFiles(paths, { cwd = process.cwd() } = {}) {
+  const out = [];
+  for (const p of paths) {
+    const abs = path.resolve(cwd, p);
+    let src;
+    try { src = fs.readFileSync(abs, "utf8"); } catch (e) { throw new Error(`Cannot read ${p}: ${e.code || e.message}`); }
+    const lines = src.replace(/\n$/, "").split("\n");
+    out.push({
+      filename: path.relative(cwd, abs).split(path.sep).join("/"),
+      status: "added",
+      ...(src ? { patch: `@@ -0,0 +1,${lines.length} @@\n${lines.map(l => `+${l}`).join("\n")}` } : {})
+    });
+  }
+  return out;
+}
+
+/** head revision of a range: the ref after ".." / "...", or null for the working tree */
+export function rangeHead(range) {
+  const m = /\.\.\.?(.+)$/.exec(range || "");
+  return m ? m[1] : null;
+}
+
+/**
+ * Source reader for static checks: the blob of `rev` (":" = the index) or the working tree.
+ * @returns {(file: string) => string|null}
+ */
+export function sourceReader(rev, { cwd = process.cwd() } = {}) {
+  if (rev == null) {
+    return (file) => { try { return fs.readFileSync(path.join(cwd, file), "utf8"); } catch { return null; } };
+  }
+  const spec = rev === ":" ? ":" : `${rev}:`;
+  return (file) => { try { return git(["show", `${spec}${file}`], { cwd }); } catch { return null; } };
+}
@@ -0,0 +1,245 @@
+/**
+ * github.mjs
+ *
+ * Minimal GitHub REST helpers for PR mode.
+ * `gh` is { token, owner, repo, apiUrl, graphqlUrl } (see config.mjs).
+ */
+
+const repoUrl = (gh) => `${gh.apiUrl}/repos/${gh.owner}/${gh.repo}`;
+
+const headers = (gh, extra = {}) => ({
+  Authorization: `Bearer ${gh.token}`,
+  "User-Agent": "openrouter-unified-review",
+  ...extra
+});
+
+export async function githubPaginate(gh, url) {
+  const out = [];
+  let next = url;
+  while (next) {
+    const res = await fetch(next, { headers: headers(gh) });
+    if (!res.ok) throw new Error(`GitHub API ${res.status} for ${next}`);
+    const page = await res.json();
+    out.push(...page);
+    const link = res.headers.get("link") || "";
+    const m = /<([^>]+)>; rel="next"/.exec(link);
+    next = m ? m[1] : null;
+  }
+  return out;
+}
+
+export function listPRFiles(gh, prNumber) {
+  return githubPaginate(gh, `${repoUrl(gh)}/pulls/${prNumber}/files?per_page=100`);
+}
+
+export async function postPRComment(gh, prNumber, body) {
+  const url = `${repoUrl(gh)}/issues/${prNumber}/comments`;
+  const res = await fetch(url, {
+    method: "POST",
+    headers: headers(gh, { "Content-Type": "application/json" }),
+    body: JSON.stringify({ body })
+  });
+  if (!res.ok) {
+    const err = await res.text().catch(()=> "");
+    throw new Error(`Failed to post PR comment: ${res.status} ${err}`);
+  }
+}
+
+export function listIssueComments(gh, prNumber) {
+  return githubPaginate(gh, `${repoUrl(gh)}/issues/${prNumber}/comments?per_page=100`);
+}
+
+/**
+ * Sticky comment: edit the PR comment containing `marker` (a hidden HTML comment) in place,
+ * or create it on the first run. The marker is appended to the body if missing.
+ */
+export async function upsertPRComment(gh, prNumber, marker, body) {
+  const text = body.includes(marker) ? body : `${body}\n\n${marker}`;
+  const existing = (await listIssueComments(gh, prNumber)).find(c => String(c.body || "").includes(marker));
+  if (!existing) return postPRComment(gh, prNumber, text);
+  const res = await fetch(`${repoUrl(gh)}/issues/comments/${existing.id}`, {
+    method: "PATCH",
+    headers: headers(gh, { "Content-Type": "application/json" }),
+    body: JSON.stringify({ body: text })
+  });
+  if (!res.ok) {
+    const err = await res.text().catch(()=> "");
+    throw new Error(`Failed to update PR comment: ${res.status} ${err}`);
+  }
+}
+
+/** → { head, base }: the commit SHAs of the PR's head and of its base branch */
+export async function getPRRevisions(gh, prNumber) {
+  const url = `${repoUrl(gh)}/pulls/${prNumber}`;
+  const res = await fetch(url, { headers: headers(gh) });
+  if (!res.ok) throw new Error(`GitHub API ${res.status} getting PR`);
+  const pr = await res.json();
+  return { head: pr?.head?.sha, base: pr?.base?.sha };
+}
+
+/** text of `file` at commit `ref`, or null when it does not exist there */
+export async function getFileAtRef(gh, file, ref) {
+  const url = `${repoUrl(gh)}/contents/${file.split(/[\\/]/).map(encodeURIComponent).join("/")}?ref=${encodeURIComponent(ref)}`;
+  const res = await fetch(url, { headers: headers(gh) });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`GitHub API ${res.status} reading ${file} at ${ref}`);
+  const j = await res.json();
+  return j?.type === "file" ? Buffer.from(j.content || "", j.encoding === "base64" ? "base64" : "utf8").toString("utf8") : null;
+}
+
+/** merged pull requests that `sha` belongs to */
+export async function listMergedPRsForCommit(gh, sha) {
+  const prs = await githubPaginate(gh, `${repoUrl(gh)}/commits/${encodeURIComponent(sha)}/pulls?per_page=100`);
+  return prs.filter(pr => pr.merged_at);
+}
+
+// -------------------- Check runs --------------------
+const MAX_ANNOTATIONS_PER_REQUEST = 50; // GitHub API limit
+
+async function checkRunRequest(gh, method, url, payload) {
+  const res = await fetch(url, {
+    method,
+    headers: headers(gh, { "Content-Type": "application/json", Accept: "application/vnd.github+json" }),
+    body: JSON.stringify(payload)
+  });
+  if (!res.ok) {
+    const err = await res.text().catch(()=> "");
+    const e = new Error(`Failed to ${method === "POST" ? "create" : "update"} check run: ${res.status} ${err}`);
+    e.status = res.status;
+    throw e;
+  }
+  return res.json();
+}
+
+/**
+ * Create a completed check run; annotations beyond the per-request limit are added with
+ * follow-up updates.
+ * @param {{ name: string, head_sha: string, conclusion: string, title: string, summary: string, annotations: object[] }} run
+ */
+export async function publishCheckRun(gh, { name, head_sha, conclusion, title, summary, annotations = [] }) {
+  const base = `${repoUrl(gh)}/check-runs`;
+  const chunks = [];
+  for (let i = 0; i < annotations.length; i += MAX_ANNOTATIONS_PER_REQUEST) {
+    chunks.push(annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST));
+  }
+  const output = (chunk) => ({ title, summary, ...(chunk?.length ? { annotations: chunk } : {}) });
+  const run = await checkRunRequest(gh, "POST", base, {
+    name, head_sha, status: "completed", conclusion, output: output(chunks[0])
+  });
+  for (const chunk of chunks.slice(1)) {
+    await checkRunRequest(gh, "PATCH", `${base}/${run.id}`, { output: output(chunk) });
+  }
+  return run;
+}
+
+// -------------------- Reviews & review threads --------------------
+export function listPRReviews(gh, prNumber) {
+  return githubPaginate(gh, `${repoUrl(gh)}/pulls/${prNumber}/reviews?per_page=100`);
+}
+
+/**
+ * Submit one review with all its inline comments.
+ * Comments are anchored by `path` + `line` / `side` (and `start_line` / `start_side` for ranges).
+ * @param {{ commit_id: string, body: string, event: "APPROVE"|"REQUEST_CHANGES"|"COMMENT", comments: object[] }} review
+ */
+export async function submitPRReview(gh, prNumber, { commit_id, body, event, comments = [] }) {
+  const url = `${repoUrl(gh)}/pulls/${prNumber}/reviews`;
+  const res = await fetch(url, {
+    method: "POST",
+    headers: headers(gh, { "Content-Type": "application/json" }),
+    body: JSON.stringify({ commit_id, body, event, comments })
+  });
+  if (!res.ok) {
+    const err = await res.text().catch(()=> "");
+    const e = new Error(`Failed to submit PR review: ${res.status} ${err}`);
+    e.status = res.status;
+    throw e;
+  }
+  return res.json();
+}
+
+/** Comment on a whole file of the PR, for findings outside the lines its diff shows. */
+export async function createFileComment(gh, prNumber, { commit_id, path, body }) {
+  const url = `${repoUrl(gh)}/pulls/${prNumber}/comments`;
+  const res = await fetch(url, {
+    method: "POST",
+    headers: headers(gh, { "Content-Type": "application/json" }),
+    body: JSON.stringify({ commit_id, path, body, subject_type: "file" })
+  });
+  if (!res.ok) {
+    const err = await res.text().catch(()=> "");
+    const e = new Error(`Failed to create file comment: ${res.status} ${err}`);
+    e.status = res.status;
+    throw e;
+  }
+  return res.json();
+}
+
+async function graphql(gh, query, variables) {
+  const res = await fetch(gh.graphqlUrl, {
+    method: "POST",
+    headers: headers(gh, { "Content-Type": "application/json" }),
+    body: JSON.stringify({ query, variables })
+  });
+  const j = await res.json().catch(() => null);
+  if (!res.ok || j?.errors?.length) {
+    throw new Error(`GitHub GraphQL ${res.status}: ${JSON.stringify(j?.errors || j).slice(0, 300)}`);
+  }
+  return j.data;
+}
+
+const THREADS_QUERY = `
+query($owner: String!, $repo: String!, $pr: Int!, $after: String) {
+  repository(owner: $owner, name: $repo) {
+    pullRequest(number: $pr) {
+      reviewThreads(first: 100, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id isResolved path line
+          first: comments(first: 1) { nodes { databaseId body reactions(first: 50) { nodes { content user { login } } } } }
+          replies: comments(first: 30) { nodes { body author { login } } }
+        }
+      }
+    }
+  }
+}`;
+
+/**
+ * → [{ id, isResolved, path, line, body, reactions: [{ content, login }], replies: [{ login, body }] }]
+ * where body and reactions are the thread's first comment's; replies are the comments after it.
+ */
+export async function listReviewThreads(gh, prNumber) {
+  const threads = [];
+  let after = null;
+  do {
+    const data = await graphql(gh, THREADS_QUERY, { owner: gh.owner, repo: gh.repo, pr: Number(prNumber), after });
+    const page = data?.repository?.pullRequest?.reviewThreads;
+    for (const t of page?.nodes || []) {
+      const first = t.first?.nodes?.[0];
+      threads.push({
+        id: t.id,
+        isResolved: t.isResolved,
+        path: t.path,
+        line: t.line ?? null,
+        body: first?.body || "",
+        reactions: (first?.reactions?.nodes || []).map(r => ({ content: r.content, login: r.user?.login || "" })),
+        replies: (t.replies?.nodes || []).slice(1).map(c => ({ login: c.author?.login || "", body: c.body || "" }))
+      });
+    }
+    after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+  return threads;
+}
+
+/** `login`'s permission on the repository: "admin", "write", "read" or "none" */
+export async function getUserPermission(gh, login) {
+  const url = `${repoUrl(gh)}/collaborators/${encodeURIComponent(login)}/permission`;
+  const res = await fetch(url, { headers: headers(gh) });
+  if (res.status === 404) return "none";
+  if (!res.ok) throw new Error(`GitHub API ${res.status} getting the permission of ${login}`);
+  return (await res.json())?.permission || "none";
+}
+
+export async function resolveReviewThread(gh, threadId) {
+  await graphql(gh, `mutation($id: ID!) { resolveReviewThread(input: { threadId: $id }) { thread { id } } }`, { id: threadId });
+}
@@ -0,0 +1,48 @@
+/**
+ * glob.mjs
+ *
+ * Small glob → RegExp matcher for rule packs and scan config.
+ * Supports `**`, `*`, `?`, `{a,b}` and character classes. Patterns without a `/`
+ * match the basename anywhere in the tree (`*.tsx` ≡ `**\/*.tsx`).
+ */
+
+const cache = new Map();
+
+export function globToRegExp(glob) {
+  let g = String(glob).trim().replace(/\\/g, "/").replace(/^\.\//, "");
+  if (!g.includes("/")) g = `**/${g}`;
+  if (g.startsWith("/")) g = g.slice(1);
+  let re = "";
+  let inGroup = 0;
+  for (let i = 0; i < g.length; i++) {
+    const c = g[i];
+    if (c === "*") {
+      if (g[i + 1] === "*") {
+        // "**/" → zero or more directories; trailing "**" → anything
+        if (g[i + 2] === "/") { re += "(?:.*/)?"; i += 2; }
+        else { re += ".*"; i += 1; }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") re += "[^/]";
+    else if (c === "{") { re += "(?:"; inGroup++; }
+    else if (c === "}" && inGroup) { re += ")"; inGroup--; }
+    else if (c === "," && inGroup) re += "|";
+    else if (c === "[") {
+      const end = g.indexOf("]", i + 1);
+      if (end === -1) { re += "\\["; continue; }
+      re += `[${g.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+      i = end;
+    } else re += c.replace(/[.+^$()|\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/** true when `file` (repo-relative, forward slashes) matches any of `globs` */
+export function matchesAny(file, globs) {
+  const f = String(file).replace(/\\/g, "/").replace(/^\.\//, "");
+  return globs.some(g => {
+    if (!cache.has(g)) cache.set(g, globToRegExp(g));
+    return cache.get(g).test(f);
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * history.mjs
+ *
+ * Append-only history of full-repo runs (JSONL, one run per line), so trends survive the
+ * per-run report files. Each entry holds the commit, time, model, per-severity / per-rule
+ * counts and the run's findings keyed by their line-independent fingerprint (baseline.mjs),
+ * which is what tells new findings from fixed ones between two runs (diffRuns).
+ */
+
+import fs from "fs";
+import path from "path";
+import { git } from "./git.mjs";
+import { SEVERITIES } from "./findings-schema.mjs";
+import { findingLines, fingerprintFinding, suppressedCount } from "./baseline.mjs";
+
+export const HISTORY_SCHEMA = 1;
+const COMMENT_CHARS = 200;
+
+function gitOr(args, fallback) {
+  try { return git(args).trim() || fallback; } catch { return fallback; }
+}
+
+/** commit and branch of the reviewed checkout (Actions variables first) */
+export function currentRevision(env = process.env) {
+  return {
+    commit: env.GITHUB_SHA || gitOr(["rev-parse", "HEAD"], null),
+    ref: env.GITHUB_REF_NAME || gitOr(["rev-parse", "--abbrev-ref", "HEAD"], null)
+  };
+}
+
+/**
+ * One history line for a finished run.
+ * @param {{ findings: object[], suppressed: object, files: number, batches: number, unreviewed: number,
+ *           usage: object, provider: string, model: string, revision: { commit, ref }, readLines: Function }} run
+ */
+export function historyEntry({ findings, suppressed, files, batches, unreviewed, usage, provider, model, revision, readLines, now = new Date() }) {
+  const bySeverity = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  const byRule = {};
+  for (const f of findings) {
+    if (bySeverity[f.severity] !== undefined) bySeverity[f.severity] += 1;
+    const rule = f.ruleId || "general";
+    byRule[rule] = (byRule[rule] || 0) + 1;
+  }
+  return {
+    schema: HISTORY_SCHEMA,
+    timestamp: now.toISOString(),
+    commit: revision.commit,
+    ref: revision.ref,
+    provider,
+    model,
+    files,
+    batches,
+    unreviewed,
+    counts: { total: findings.length, bySeverity, byRule, suppressed: suppressedCount(suppressed) },
+    usage: { totalTokens: usage?.totalTokens ?? 0, costUsd: usage?.costUsd ?? null },
+    findings: findings.map(f => ({
+      fp: fingerprintFinding(f, findingLines(f, readLines)),
+      file: f.file,
+      line: f.line ?? null,
+      severity: f.severity,
+      ruleId: f.ruleId || "general",
+      comment: String(f.comment || "").replace(/\s+/g, " ").slice(0, COMMENT_CHARS)
+    }))
+  };
+}
+
+export function appendHistory(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + "\n", "utf8");
+}
+
+/** every readable run, oldest first; damaged lines are skipped with a warning */
+export function readHistory(file) {
+  let text;
+  try { text = fs.readFileSync(file, "utf8"); } catch { return []; }
+  const runs = [];
+  text.split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const run = JSON.parse(line);
+      if (run?.schema === HISTORY_SCHEMA && Array.isArray(run.findings)) runs.push(run);
+      else console.warn(`⚠️ ${file}:${i + 1}: unsupported history entry skipped.`);
+    } catch {
+      console.warn(`⚠️ ${file}:${i + 1}: unreadable history entry skipped.`);
+    }
+  });
+  return runs;
+}
+
+/**
+ * Findings of `current` not in `previous` (new) and the other way round (fixed), by fingerprint;
+ * everything is new when there is no previous run.
+ */
+export function diffRuns(previous, current) {
+  const before = new Set((previous?.findings || []).map(f => f.fp));
+  const after = new Set(current.findings.map(f => f.fp));
+  return {
+    added: current.findings.filter(f => !before.has(f.fp)),
+    fixed: (previous?.findings || []).filter(f => !after.has(f.fp))
+  };
+}
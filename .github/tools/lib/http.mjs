@@ -0,0 +1,92 @@
+/**
+ * http.mjs
+ *
+ * fetch() with a per-attempt timeout, cancellation and retries.
+ * Retries network errors, timeouts, 429 and 5xx with exponential backoff + full jitter;
+ * a Retry-After header (seconds or HTTP date) is honoured when present.
+ * The timeout covers the whole response: the body is read within the attempt, so a server
+ * that sends headers and then stalls times out (and is retried) like one that never answers.
+ */
+
+const RETRY_AFTER_CAP_MS = 120_000;
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason ?? new Error("Aborted"));
+    const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+    const onAbort = () => { clearTimeout(t); reject(signal.reason ?? new Error("Aborted")); };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/** Retry-After → milliseconds, or null */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+export const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {{ retries?: number, timeoutMs?: number, baseDelayMs?: number, maxDelayMs?: number, signal?: AbortSignal, label?: string }} opts
+ * @returns {Promise<Response>} the first non-retryable response, or the last one once retries run out;
+ *   its body is already read, so text() / json() do not wait on the network
+ */
+export async function fetchWithRetry(url, init = {}, {
+  retries = 3,
+  timeoutMs = 120_000,
+  baseDelayMs = 1_000,
+  maxDelayMs = 30_000,
+  signal,
+  label = "HTTP"
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw signal.reason ?? new Error("Aborted");
+
+    const ac = new AbortController();
+    const onAbort = () => ac.abort(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const timer = setTimeout(() => ac.abort(new Error(`${label} request timed out after ${timeoutMs} ms`)), timeoutMs);
+
+    let res = null;
+    let error = null;
+    try {
+      const raw = await fetch(url, { ...init, signal: ac.signal });
+      const body = NULL_BODY_STATUSES.has(raw.status) ? null : await raw.arrayBuffer();
+      res = new Response(body, { status: raw.status, statusText: raw.statusText, headers: raw.headers });
+    } catch (e) {
+      // External cancellation is final; timeouts and network errors are retried
+      if (signal?.aborted) throw signal.reason ?? e;
+      error = ac.signal.aborted && ac.signal.reason instanceof Error ? ac.signal.reason : e;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    const retryable = error || isRetryableStatus(res.status);
+    if (!retryable) return res;
+    if (attempt >= retries) {
+      if (error) throw error;
+      return res;
+    }
+
+    const retryAfter = res ? parseRetryAfter(res.headers.get("retry-after")) : null;
+    const delay = retryAfter != null
+      ? Math.min(retryAfter, RETRY_AFTER_CAP_MS)
+      : backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+    const why = error ? String(error.message || error) : `HTTP ${res.status}`;
+    console.warn(`⏳ ${label}: ${why}; retry ${attempt + 1}/${retries} in ${delay} ms`);
+    await sleep(delay, signal);
+  }
+}
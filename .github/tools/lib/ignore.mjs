@@ -0,0 +1,77 @@
+/**
+ * ignore.mjs
+ *
+ * `.gitignore`-style path rules for the scan scope: the root `.reviewignore`, plus every
+ * `.gitignore` on the way down from the repo root when cfg.scan.respectGitignore is on.
+ * Supports comments, `!` negation, trailing `/` (directories only), leading or inner `/`
+ * (anchored to the ignore file's directory) and the glob syntax of glob.mjs. As in git, a
+ * path inside an ignored directory stays ignored whatever later rules say.
+ */
+
+import fs from "fs";
+import path from "path";
+import { globToRegExp } from "./glob.mjs";
+
+export const REVIEWIGNORE = ".reviewignore";
+
+/**
+ * @param {string} text ignore file content
+ * @param {string} base directory of the ignore file, repo-relative ("" = root)
+ * @returns {Array<{ re: RegExp, negate: boolean, dirOnly: boolean }>}
+ */
+export function parseIgnore(text, base = "") {
+  const rules = [];
+  for (let line of String(text).split(/\r?\n/)) {
+    line = line.replace(/(?<!\\)\s+$/, "");
+    if (!line || line.startsWith("#")) continue;
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\([#!])/, "$1");
+    const dirOnly = line.endsWith("/");
+    if (dirOnly) line = line.replace(/\/+$/, "");
+    if (!line) continue;
+    const anchored = line.includes("/");
+    const glob = anchored ? line.replace(/^\//, "") : `**/${line}`;
+    rules.push({ re: globToRegExp(base ? `${base}/${glob}` : glob), negate, dirOnly });
+  }
+  return rules;
+}
+
+/** last matching rule decides */
+function matches(rel, isDir, rules) {
+  let ignored = false;
+  for (const r of rules) {
+    if (r.dirOnly && !isDir) continue;
+    if (r.re.test(rel)) ignored = !r.negate;
+  }
+  return ignored;
+}
+
+/**
+ * Ignore checker for one repo root; ignore files are read once per directory.
+ * @param {{ root?: string, respectGitignore?: boolean }} opts
+ * @returns {(rel: string, isDir?: boolean) => boolean}
+ */
+export function createIgnoreChecker({ root = process.cwd(), respectGitignore = true } = {}) {
+  const read = (file) => { try { return fs.readFileSync(path.join(root, file), "utf8"); } catch { return ""; } };
+  const rootRules = parseIgnore(read(REVIEWIGNORE));
+  const gitRules = new Map();
+  const rulesIn = (dir) => {
+    if (!respectGitignore) return [];
+    if (!gitRules.has(dir)) gitRules.set(dir, parseIgnore(read(dir ? `${dir}/.gitignore` : ".gitignore"), dir));
+    return gitRules.get(dir);
+  };
+
+  return (rel, isDir = false) => {
+    const parts = String(rel).replace(/\\/g, "/").replace(/^\.\//, "").split("/").filter(Boolean);
+    // rules of the root and of every ancestor directory, checked against each ancestor, then the path
+    let rules = [...rulesIn(""), ...rootRules];
+    for (let i = 0; i < parts.length; i++) {
+      const sub = parts.slice(0, i + 1).join("/");
+      const last = i === parts.length - 1;
+      if (matches(sub, last ? isDir : true, rules)) return true;
+      if (!last) rules = [...rules, ...rulesIn(sub)];
+    }
+    return false;
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * import-graph.mjs
+ *
+ * Orders full-repo sources so related code is reviewed together: files linked by local imports
+ * (JS/TS relative specifiers, Python relative and package imports) form one group, and groups
+ * and their files follow path order, so files of a directory stay adjacent.
+ */
+
+import path from "path";
+
+const JS_SPECIFIER_RE = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)["']([^"']+)["']/g;
+const PY_IMPORT_RE = /^\s*(?:from\s+(\.*[\w.]*)\s+import\s+([\w., ]+)|import\s+([\w.]+))/gm;
+const JS_SUFFIXES = ["", ".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs", "/index.js", "/index.jsx", "/index.ts", "/index.tsx"];
+
+function jsTargets(rel, src, known) {
+  const out = [];
+  for (const m of src.matchAll(JS_SPECIFIER_RE)) {
+    const spec = m[1];
+    if (!spec.startsWith(".")) continue;
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(rel), spec));
+    const hit = JS_SUFFIXES.map(s => base + s).find(p => known.has(p));
+    if (hit) out.push(hit);
+  }
+  return out;
+}
+
+function pyTargets(rel, src, known) {
+  const out = [];
+  const pyModule = (mod) => [`${mod}.py`, `${mod}/__init__.py`].find(p => known.has(p));
+  for (const m of src.matchAll(PY_IMPORT_RE)) {
+    const [, from, names, plain] = m;
+    const spec = from ?? plain;
+    const dots = /^\.*/.exec(spec)[0].length;
+    let dir = "";
+    if (dots) {
+      dir = path.posix.dirname(rel);
+      for (let i = 1; i < dots; i++) dir = path.posix.dirname(dir);
+    }
+    const mod = path.posix.join(dir, spec.slice(dots).split(".").join("/"));
+    const hit = pyModule(mod);
+    if (hit) out.push(hit);
+    // `from pkg import module`
+    if (names) for (const n of names.split(",")) {
+      const sub = pyModule(path.posix.join(mod, n.trim().split(/\s+/)[0]));
+      if (sub) out.push(sub);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {Array<{ rel: string, src: string }>} sources
+ * @returns {Array<Array<{ rel: string, src: string }>>} groups of related sources, in review order
+ */
+export function groupByImports(sources) {
+  const known = new Map(sources.map(s => [s.rel, s]));
+  const parent = new Map(sources.map(s => [s.rel, s.rel]));
+  const find = (x) => {
+    while (parent.get(x) !== x) { parent.set(x, parent.get(parent.get(x))); x = parent.get(x); }
+    return x;
+  };
+  const union = (a, b) => {
+    const [ra, rb] = [find(a), find(b)];
+    if (ra !== rb) parent.set(ra < rb ? rb : ra, ra < rb ? ra : rb);
+  };
+
+  for (const s of sources) {
+    const targets = /\.py$/i.test(s.rel) ? pyTargets(s.rel, s.src, known)
+      : /\.(m|c)?[jt]sx?$/i.test(s.rel) ? jsTargets(s.rel, s.src, known)
+        : [];
+    for (const t of targets) if (t !== s.rel) union(s.rel, t);
+  }
+
+  const groups = new Map();
+  for (const s of [...sources].sort((a, b) => a.rel.localeCompare(b.rel))) {
+    const root = find(s.rel);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(s);
+  }
+  return [...groups.values()];
+}
@@ -0,0 +1,111 @@
+/**
+ * injection.mjs
+ *
+ * Prompt-injection defences. The reviewed code is untrusted: any PR can put text in it that
+ * addresses the model instead of the reader.
+ * - fenceUntrusted(text): wraps batch content in per-request random delimiters; it is sent as its
+ *   own message (providers.mjs `input`), apart from the instructions
+ * - scanInjection(file, numberedLines): one local finding per line of instruction-like text
+ *   (overrides, "no findings" requests, chat-template tokens, spoofed delimiters, hidden characters)
+ * - emptyReviewEscalation(): a batch the model calls clean although static checks flagged
+ *   high-severity issues or injection text in it gets a high finding of its own (committed
+ *   secrets excepted: the model only sees them redacted, so silence about them is expected)
+ */
+
+import crypto from "crypto";
+
+export const INJECTION_RULE = {
+  id: "prompt-injection",
+  severity: "medium",
+  msg: "Instruction-like text aimed at an AI reviewer: it must not steer the review"
+};
+
+export const ESCALATION_RULE = {
+  id: "empty-review-escalation",
+  severity: "high",
+  msg: "The model reported nothing for a batch with high-severity static findings; review it manually"
+};
+
+// built, not written out, so this file does not match its own delimiter pattern
+const FENCE = "UNTRUSTED-INPUT";
+
+const OBJECT_WORDS = String.raw`(?:findings?|issues?|problems?|vulnerabilit(?:y|ies)|bugs?|warnings?|results?)`;
+
+/** checked in order; the first match labels the line. Neither labels nor sources may match a pattern: this file is scanned too. */
+const INJECTION_PATTERNS = [
+  { label: "instruction override", re: /\b(?:ignore|disregard|forget|override|bypass)\s+(?:all\s+|any\s+|the\s+|of\s+)*(?:previous|prior|above|earlier|preceding|system|your|these|those)\s+(?:instructions?|prompts?|rules|directions|guidelines|directives)\b/i },
+  { label: "request to suppress findings", re: new RegExp(String.raw`\b(?:return|report|output|respond\s+with|reply\s+with)\s+(?:no|zero|0|an?\s+empty(?:\s+list\s+of)?|empty)\s+${OBJECT_WORDS}`, "i") },
+  { label: "request to suppress findings", re: new RegExp(String.raw`\b(?:do\s+not|don't|never)\s+(?:report|flag|mention|raise)\s+(?:any\s+|this\s+|these\s+|the\s+)?${OBJECT_WORDS}`, "i") },
+  { label: "request to approve", re: /\b(?:approve|pass|mark)\s+(?:this|the)\s+(?:pr|pull\s+request|change|review|code)\s+(?:as\s+)?(?:without|safe|approved|clean|passing)\b/i },
+  { label: "role reassignment", re: /\byou\s+are\s+(?:now|no\s+longer)\s+(?:an?\s+)?(?:ai|assistant|model|reviewer|bot|dan|in\s+\w+\s+mode)\b|\bnew\s+(?:system\s+)?instructions\s*:/i },
+  { label: "text addressed to the AI reviewer", re: /\b(?:note|message|instructions?)\s+(?:to|for)\s+(?:the\s+|any\s+)?(?:ai|llm|assistant|language\s+model|code\s+review(?:er|\s+bot)|review(?:er|\s+bot))\b|\b(?:dear\s+)?(?:ai|llm|assistant|code\s+reviewer)\s*[:,]\s*(?:ignore|do\s+not|don't|please|you\s+must)\b/i },
+  { label: "chat template token", re: /<\|(?:im_start|im_end|system|user|assistant|endoftext|start_header_id|end_header_id|eot_id)\|>|\[\/?INST\]|<<\/?SYS>>/ },
+  { label: "spoofed input delimiter", re: /---\s*(?:BEGIN|END)\s+INPUT\b|<<<\s*(?:END-)?UNTRUSTED-INPUT\b/i },
+  { label: "hidden characters (bidi controls / Unicode tags)", re: /[\u202A-\u202E\u2066-\u2069]|[\u{E0000}-\u{E007F}]/u }
+];
+
+/**
+ * The batch wrapped in delimiters the content cannot predict, so it cannot close them early.
+ * @returns {{ begin: string, end: string, text: string }}
+ */
+export function fenceUntrusted(text) {
+  let nonce;
+  do nonce = crypto.randomBytes(8).toString("hex"); while (text.includes(nonce));
+  const begin = `<<<${FENCE} ${nonce}>>>`;
+  const end = `<<<END-${FENCE} ${nonce}>>>`;
+  return { begin, end, text: `${begin}\n${text}\n${end}` };
+}
+
+/** label of the first pattern `code` matches, or null */
+export function detectInjection(code) {
+  return INJECTION_PATTERNS.find(p => p.re.test(code))?.label ?? null;
+}
+
+const snippet = (code) => {
+  const s = code.trim().replace(/[\u202A-\u202E\u2066-\u2069]|[\u{E0000}-\u{E007F}]/gu, "\uFFFD");
+  return s.length > 120 ? `${s.slice(0, 117)}...` : s;
+};
+
+/** One finding per line ([lineNumber, code] pairs) holding instruction-like text. */
+export function scanInjection(file, numberedLines) {
+  const findings = [];
+  for (const [line, code] of numberedLines) {
+    const label = detectInjection(code);
+    if (!label) continue;
+    findings.push({
+      file,
+      line,
+      severity: INJECTION_RULE.severity,
+      ruleId: INJECTION_RULE.id,
+      comment: `Possible prompt injection (${label}): \`${snippet(code).replace(/`/g, "'")}\`. ` +
+        "Text that addresses an AI reviewer is ignored by this review; remove it, or reword it if it is legitimate."
+    });
+  }
+  return findings;
+}
+
+/** static findings that should never come back as a clean model review; secrets reach the model as "[REDACTED:…]" */
+const isAlarm = (f) => (f.severity === "high" && !String(f.ruleId).startsWith("secret-")) || f.ruleId === INJECTION_RULE.id;
+
+/**
+ * Escalation finding for a batch ({ files, chunks? }) the model answered with zero findings
+ * although `staticFindings` flag high-severity issues or injection text inside it; else null.
+ */
+export function emptyReviewEscalation(batch, batchNo, modelFindings, staticFindings) {
+  if (modelFindings.length) return null;
+  const files = new Set(batch.files);
+  const inBatch = (f) => files.has(f.file) &&
+    (!batch.chunks?.some(c => c.file === f.file) || batch.chunks.some(c => c.file === f.file && f.line >= c.startLine && f.line <= c.endLine));
+  const alarms = staticFindings.filter(f => isAlarm(f) && inBatch(f));
+  if (!alarms.length) return null;
+  const ids = [...new Set(alarms.map(f => f.ruleId))];
+  const first = alarms[0];
+  return {
+    file: first.file,
+    line: first.line,
+    severity: ESCALATION_RULE.severity,
+    ruleId: ESCALATION_RULE.id,
+    comment: `The model returned no findings for batch ${batchNo} (${batch.files.join(", ")}) although static checks flagged ` +
+      `${alarms.length} issue(s) in it (${ids.join(", ")}). The batch may carry a prompt injection: review these files manually.`
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * outline.mjs
+ *
+ * Structural outline of a source file: its import lines and its code units (functions,
+ * classes, methods, top-level declarations) with 1-based inclusive line ranges.
+ * - JS/TS/JSX → Babel AST (ast-rules.mjs parser)
+ * - Python → def/class blocks by indentation
+ * - everything else → import-like header lines only
+ */
+
+import { isAstFile, parseSource } from "./ast-rules.mjs";
+
+const IMPORT_LINE_RE = /^\s*(import\s|from\s+\S+\s+import\s|#include\s|using\s+[\w.]+\s*;|require\(|package\s|use\s+[\w:]+)/;
+const HEADER_SCAN_LINES = 80;
+
+const isFnNode = (n) => n && /^(ArrowFunctionExpression|FunctionExpression|FunctionDeclaration|ClassExpression|ClassDeclaration)$/.test(n.type);
+const isRequireCall = (n) => n?.type === "CallExpression" && n.callee?.type === "Identifier" && n.callee.name === "require";
+const span = (n) => ({ startLine: n.loc.start.line, endLine: n.loc.end.line });
+
+function jsOutline(file, src) {
+  const ast = parseSource(file, src);
+  const imports = [];
+  const units = [];
+  const exportedNames = new Set();
+
+  const addClassMembers = (cls, className) => {
+    for (const m of cls.body?.body || []) {
+      const name = m.key?.name ?? m.key?.value;
+      const isMethod = m.type === "ClassMethod" || m.type === "ClassPrivateMethod" || (m.type === "ClassProperty" && isFnNode(m.value));
+      if (isMethod && name) units.push({ name: `${className}.${name}`, kind: "method", exported: false, ...span(m) });
+    }
+  };
+
+  const addDeclaration = (decl, stmt, exported) => {
+    if (!decl) return;
+    if (decl.type === "FunctionDeclaration" || decl.type === "ClassDeclaration" || decl.type === "TSInterfaceDeclaration" || decl.type === "TSTypeAliasDeclaration" || decl.type === "TSEnumDeclaration") {
+      const name = decl.id?.name || "default";
+      const kind = decl.type === "ClassDeclaration" ? "class" : decl.type === "FunctionDeclaration" ? "function" : "type";
+      units.push({ name, kind, exported, ...span(stmt) });
+      if (kind === "class") addClassMembers(decl, name);
+    } else if (decl.type === "VariableDeclaration") {
+      for (const d of decl.declarations) {
+        if (isRequireCall(d.init)) { imports.push(span(stmt)); continue; }
+        const name = d.id?.type === "Identifier" ? d.id.name : null;
+        if (!name) continue;
+        const kind = isFnNode(d.init) ? (d.init.type.startsWith("Class") ? "class" : "function") : "variable";
+        // a single declarator owns the whole statement (keeps `export const` and JSDoc-free ranges intact)
+        units.push({ name, kind, exported, ...span(decl.declarations.length === 1 ? stmt : d) });
+        if (kind === "class") addClassMembers(d.init, name);
+      }
+    } else if (isFnNode(decl)) {
+      const name = decl.id?.name || "default";
+      units.push({ name, kind: decl.type.startsWith("Class") ? "class" : "function", exported, ...span(stmt) });
+    }
+  };
+
+  for (const stmt of ast.program.body) {
+    if (stmt.type === "ImportDeclaration") { imports.push(span(stmt)); continue; }
+    if (stmt.type === "ExportNamedDeclaration") {
+      if (stmt.declaration) addDeclaration(stmt.declaration, stmt, true);
+      for (const s of stmt.specifiers || []) if (s.local?.name) exportedNames.add(s.local.name);
+      if (stmt.source) imports.push(span(stmt));
+      continue;
+    }
+    if (stmt.type === "ExportDefaultDeclaration") {
+      const d = stmt.declaration;
+      if (d?.type === "Identifier") exportedNames.add(d.name);
+      else addDeclaration(d, stmt, true);
+      continue;
+    }
+    if (stmt.type === "ExpressionStatement" && stmt.expression?.type === "AssignmentExpression") {
+      // module.exports = { a, b } / exports.a = ...
+      const { left, right } = stmt.expression;
+      const target = left?.type === "MemberExpression" ? left : null;
+      if (target?.object?.name === "module" && target.property?.name === "exports" && right?.type === "ObjectExpression") {
+        for (const p of right.properties) if (p.value?.type === "Identifier") exportedNames.add(p.value.name);
+      } else if (target?.object?.name === "exports" && target.property?.name) {
+        units.push({ name: target.property.name, kind: isFnNode(right) ? "function" : "variable", exported: true, ...span(stmt) });
+      }
+      continue;
+    }
+    addDeclaration(stmt, stmt, false);
+  }
+
+  for (const u of units) if (exportedNames.has(u.name)) u.exported = true;
+  return { imports, units };
+}
+
+function pythonOutline(lines) {
+  const units = [];
+  const open = [];
+  const indentOf = (l) => l.match(/^\s*/)[0].length;
+  const close = (indent, lineNo) => {
+    while (open.length && open[open.length - 1].indent >= indent) {
+      const u = open.pop();
+      u.endLine = lineNo;
+    }
+  };
+  lines.forEach((l, i) => {
+    if (!l.trim() || /^\s*#/.test(l)) return;
+    const indent = indentOf(l);
+    let last = i;
+    while (last > 0 && !lines[last - 1].trim()) last--;
+    close(indent, last);
+    const m = /^\s*(?:async\s+)?(def|class)\s+(\w+)/.exec(l);
+    if (m) {
+      const parent = open[open.length - 1];
+      const u = {
+        name: parent ? `${parent.name}.${m[2]}` : m[2],
+        kind: m[1] === "class" ? "class" : parent?.kind === "class" ? "method" : "function",
+        exported: !parent && !m[2].startsWith("_"),
+        startLine: i + 1,
+        endLine: lines.length,
+        indent
+      };
+      units.push(u);
+      open.push(u);
+    }
+  });
+  close(0, lines.length);
+  return units.map(({ indent, ...u }) => u);
+}
+
+/**
+ * @returns {{ imports: Array<{ startLine: number, endLine: number }>, units: Array<{ name: string, kind: string, exported: boolean, startLine: number, endLine: number }> }}
+ */
+export function outlineSource(file, src) {
+  const lines = src.split(/\r?\n/);
+  if (isAstFile(file)) {
+    try { return jsOutline(file, src); } catch { /* fall through to the header heuristic */ }
+  }
+  const imports = lines.slice(0, HEADER_SCAN_LINES)
+    .map((l, i) => IMPORT_LINE_RE.test(l) ? { startLine: i + 1, endLine: i + 1 } : null)
+    .filter(Boolean);
+  const units = /\.py$/i.test(file) ? pythonOutline(lines) : [];
+  return { imports, units };
+}
+
+/** innermost unit containing [startLine, endLine], or null */
+export function enclosingUnit(units, startLine, endLine = startLine) {
+  let best = null;
+  for (const u of units) {
+    if (u.startLine <= startLine && u.endLine >= endLine && (!best || u.endLine - u.startLine < best.endLine - best.startLine)) best = u;
+  }
+  return best;
+}
@@ -0,0 +1,271 @@
+/**
+ * pr-review.mjs
+ *
+ * Publishes PR-mode results without piling up comments on every push:
+ * - one sticky summary comment, found again by a hidden marker and edited in place
+ * - inline comments carry the finding fingerprint (baseline.mjs) in a hidden marker; threads
+ *   from earlier runs stay while their finding is still reported and are resolved once it is
+ *   gone, so only genuinely new findings get a comment
+ * - comments are anchored by line / side, so they can span line ranges and sit on removed code;
+ *   findings the diff does not show become file-level comments instead of being dropped
+ * - structured edits become ```suggestion blocks that can be committed with one click
+ * - the inline comments go out as ONE review whose event (APPROVE / REQUEST_CHANGES) follows
+ *   the results
+ * - ensemble findings with low model agreement (consensus.mjs) stay in the summary only
+ * - triage on those threads (👎 / "/review ignore" replies / 👍 by users with write access) is
+ *   read back into the feedback store (feedback.mjs); a suppressed false positive's thread is
+ *   resolved like any finding that is gone
+ */
+
+import { findingLines, fingerprintFinding } from "./baseline.mjs";
+import { agreedFindings } from "./consensus.mjs";
+import { anchorForRange, parsePatch } from "./diff.mjs";
+import { editDiffLines, replacementLines } from "./fixes.mjs";
+import { IGNORE_COMMAND_RE, threadVerdict } from "./feedback.mjs";
+import {
+  createFileComment, getUserPermission, listPRReviews, listReviewThreads, resolveReviewThread, submitPRReview, upsertPRComment
+} from "./github.mjs";
+
+const summaryMarker = (tool) => `<!-- ${tool}:summary -->`;
+const reviewMarker = (tool) => `<!-- ${tool}:review`;
+const reviewEventMarker = (tool, event) => `${reviewMarker(tool)} event=${event} -->`;
+const fingerprintMarker = (tool, fp, ruleId) => `<!-- ${tool}:fp=${fp}${ruleId ? ` rule=${ruleId}` : ""} -->`;
+
+/** { fp, ruleId } of a fingerprint marker in `body`; ruleId is null in markers written before it was added */
+function markerFromBody(tool, body) {
+  const prefix = `<!-- ${tool}:fp=`;
+  const at = String(body || "").indexOf(prefix);
+  if (at === -1) return null;
+  const m = /^([0-9a-f]+)(?: rule=(\S+))?/.exec(body.slice(at + prefix.length));
+  return m ? { fp: m[1], ruleId: m[2] ?? null } : null;
+}
+
+// review state GitHub reports back for each event
+const EVENT_STATES = { APPROVE: "APPROVED", REQUEST_CHANGES: "CHANGES_REQUESTED", COMMENT: "COMMENTED" };
+
+/**
+ * The event one of our reviews asked for. Its marker records it, since a rejected APPROVE /
+ * REQUEST_CHANGES is submitted as COMMENT (submitWithFallback); older markers fall back to the state.
+ */
+function requestedEvent(tool, review) {
+  const m = /^ event=(\w+) -->/.exec(String(review.body || "").split(reviewMarker(tool))[1] ?? "");
+  return m ? m[1] : Object.keys(EVENT_STATES).find(e => EVENT_STATES[e] === review.state) ?? null;
+}
+
+/** Create or edit the sticky summary comment of `toolName` on the PR. */
+export function upsertSummaryComment(gh, prNumber, toolName, body) {
+  return upsertPRComment(gh, prNumber, summaryMarker(toolName), body);
+}
+
+/**
+ * A PR with batches the model never reviewed is not approved; otherwise the quality gate
+ * decides, or — without a gate — any high finding requests changes.
+ */
+export function chooseReviewEvent({ findings, gate, unreviewed = 0 }) {
+  if (unreviewed) return "COMMENT";
+  if (gate?.enabled) return gate.passed ? "APPROVE" : "REQUEST_CHANGES";
+  return findings.some(f => f?.severity === "high") ? "REQUEST_CHANGES" : "APPROVE";
+}
+
+const coversEdit = (anchor, edit) =>
+  Boolean(anchor && edit) && anchor.side === "RIGHT" && anchor.line === edit.endLine && (anchor.start_line ?? anchor.line) === edit.startLine;
+
+/**
+ * An edit whose comment spans exactly the lines it replaces becomes a GitHub ```suggestion
+ * (one-click commit); other edits are shown as a diff.
+ */
+function inlineBody(f, marker, anchor) {
+  let fix = "";
+  if (coversEdit(anchor, f.edit)) {
+    fix = `\n\n\`\`\`suggestion\n${replacementLines(f.edit.replacement).join("\n")}\n\`\`\``;
+  } else if (f.edit) {
+    fix = `\n\n**Suggested fix** (lines ${f.edit.startLine}–${f.edit.endLine}):\n\`\`\`diff\n${editDiffLines(f.edit).join("\n")}\n\`\`\``;
+  } else if (f.suggestion) {
+    fix = `\n\n**Suggestion**:\n\`\`\`\n${f.suggestion}\n\`\`\``;
+  }
+  const agreement = f.agreement ? ` _(${f.agreement} models agree)_` : "";
+  return `**${String(f.severity || "info").toUpperCase()}** — ${f.comment || "Issue"}${agreement}${fix}\n\n${marker}`;
+}
+
+/** file-level comment: the lines it is about go first, since the comment is not on them */
+function fileCommentBody(f, marker) {
+  const lines = `${f.line}${f.endLine > f.line ? `–${f.endLine}` : ""}`;
+  const where = `_${f.endLine > f.line ? "Lines" : "Line"} ${lines}${f.side === "LEFT" ? " of the previous version" : ""} (outside the diff)._`;
+  return `${where}\n\n${inlineBody(f, marker, null)}`;
+}
+
+/**
+ * Review-comment anchor (diff.mjs) of a finding: its edit's lines when the diff shows all of
+ * them, so the fix can be a suggestion, else its own line range; null when the diff shows
+ * none of its lines.
+ */
+function anchorFor(f, patchLines) {
+  if (f.edit && f.side !== "LEFT") {
+    const anchor = anchorForRange(patchLines, { start: f.edit.startLine, end: f.edit.endLine });
+    if (coversEdit(anchor, f.edit)) return anchor;
+  }
+  return anchorForRange(patchLines, { start: f.line, end: f.endLine ?? f.line, side: f.side || "RIGHT" });
+}
+
+async function submitWithFallback(gh, prNumber, review) {
+  try {
+    return await submitPRReview(gh, prNumber, review);
+  } catch (e) {
+    if (e.status !== 422) throw e;
+    // Actions tokens may not approve, nobody may review their own PR, and one stale anchor
+    // rejects the whole review: degrade to a plain comment review, then drop the comments
+    if (review.event !== "COMMENT") {
+      console.warn(`⚠️ ${review.event} review rejected (${e.message}); submitting as COMMENT.`);
+      return submitWithFallback(gh, prNumber, { ...review, event: "COMMENT" });
+    }
+    if (review.comments.length) {
+      console.warn(`⚠️ Review with inline comments rejected (${e.message}); submitting without them.`);
+      return submitPRReview(gh, prNumber, { ...review, comments: [] });
+    }
+    throw e;
+  }
+}
+
+/** the PR's review threads (github.mjs listReviewThreads); when they can't be listed, none */
+export async function fetchReviewThreads(gh, prNumber) {
+  try {
+    return await listReviewThreads(gh, prNumber);
+  } catch (e) {
+    console.warn(`⚠️ Could not list review threads; earlier comments will not be matched: ${String(e.message || e)}`);
+    return [];
+  }
+}
+
+const TRUSTED_PERMISSIONS = new Set(["admin", "write"]);
+const SEVERITY_LINE_RE = /\*\*(HIGH|MEDIUM|LOW|INFO)\*\* — ([^\n]*)/;
+
+/** the finding an inline comment of ours was about, from its thread */
+function findingFromThread(t, marker) {
+  const m = SEVERITY_LINE_RE.exec(t.body);
+  const comment = m ? m[2].replace(/ _\(\d+ models agree\)_$/, "") : "";
+  return {
+    file: t.path,
+    line: t.line ?? (Number(/^_Lines? (\d+)/.exec(t.body)?.[1]) || null),
+    ruleId: marker.ruleId ?? /\(rule: ([\w.\/*-]+)\)/.exec(comment)?.[1] ?? null,
+    severity: m ? m[1].toLowerCase() : "info",
+    comment
+  };
+}
+
+/**
+ * Feedback on this tool's inline comments (feedback.mjs threadVerdict), counting only users with
+ * write access to the repository, so a PR's author can't wave through findings on their own.
+ * @param {object[]} threads fetchReviewThreads() output
+ * @returns {Promise<Array<{ fingerprint: string, thread: string, finding: object, verdict: object|null }>>}
+ *   one item per thread of ours; `verdict` null when it has no (trusted) feedback
+ */
+export async function readTriage(ctx, threads) {
+  const gh = ctx.cfg.github;
+  const own = threads.map(t => ({ t, marker: markerFromBody(ctx.toolName, t.body) })).filter(x => x.marker);
+
+  const logins = new Set();
+  for (const { t } of own) {
+    for (const r of t.reactions) if (r.login && (r.content === "THUMBS_UP" || r.content === "THUMBS_DOWN")) logins.add(r.login);
+    for (const r of t.replies) if (r.login && IGNORE_COMMAND_RE.test(r.body)) logins.add(r.login);
+  }
+  const trusted = new Set();
+  for (const login of logins) {
+    try {
+      if (TRUSTED_PERMISSIONS.has(await getUserPermission(gh, login))) trusted.add(login);
+    } catch (e) {
+      console.warn(`⚠️ Could not check the permission of ${login}; ignoring their feedback: ${String(e.message || e)}`);
+    }
+  }
+
+  return own.map(({ t, marker }) => ({
+    fingerprint: marker.fp,
+    thread: t.id,
+    finding: findingFromThread(t, marker),
+    verdict: threadVerdict(t, (login) => trusted.has(login))
+  }));
+}
+
+/**
+ * Sync inline threads with the current findings and submit the review.
+ * @param {{ cfg: object, toolName: string }} ctx
+ * @param {{ prNumber: number, headSha: string, files: object[], findings: object[], gate: object,
+ *           unreviewed: number, readLines: Function, readBaseLines?: Function, threads?: object[] }} run
+ *   `threads`: the PR's review threads when already fetched (fetchReviewThreads)
+ *   `readBaseLines`: base revision lines, for findings on removed code (baseline.mjs findingLines)
+ * @returns {Promise<{ posted: number, kept: number, resolved: number, event: string|null }>}
+ */
+export async function publishReview(ctx, { prNumber, headSha, files, findings, gate, unreviewed, readLines, readBaseLines, threads }) {
+  const { cfg, toolName } = ctx;
+  const gh = cfg.github;
+
+  const previous = new Map();
+  for (const t of threads ?? await fetchReviewThreads(gh, prNumber)) {
+    const fp = markerFromBody(toolName, t.body)?.fp;
+    if (fp) previous.set(fp, t);
+  }
+
+  // Every reported finding keeps its thread alive, even when it can't be commented inline
+  const fingerprinted = findings.filter(f => f?.file).map(f => ({ f, fp: fingerprintFinding(f, findingLines(f, readLines, readBaseLines)) }));
+  const present = new Set(fingerprinted.map(x => x.fp));
+
+  const patchLines = new Map(files.filter(f => f.patch).map(f => [f.filename, parsePatch(f.patch)]));
+  const prFiles = new Set(files.map(f => f.filename));
+  const comments = [];
+  const fileComments = [];
+  const seen = new Set();
+  let kept = 0;
+  for (const { f, fp } of fingerprinted) {
+    // Only the configured severities go inline (default high & medium)
+    if (!cfg.inline.severities.includes(f.severity) || f.lowAgreement) continue;
+    if (seen.has(fp)) continue;
+    seen.add(fp);
+    if (previous.has(fp)) { kept += 1; continue; }
+    if (comments.length + fileComments.length >= cfg.inline.max) continue;
+    // files outside the PR only appear in the summary
+    if (!prFiles.has(f.file)) continue;
+    const marker = fingerprintMarker(toolName, fp, f.ruleId);
+    const anchor = patchLines.has(f.file) ? anchorFor(f, patchLines.get(f.file)) : null;
+    if (anchor) comments.push({ path: f.file, ...anchor, body: inlineBody(f, marker, anchor) });
+    else fileComments.push({ path: f.file, body: fileCommentBody(f, marker) });
+  }
+
+  let resolved = 0;
+  for (const [fp, t] of previous) {
+    if (present.has(fp) || t.isResolved) continue;
+    try {
+      await resolveReviewThread(gh, t.id);
+      resolved += 1;
+    } catch (e) {
+      console.warn(`⚠️ Could not resolve review thread ${t.id}: ${String(e.message || e)}`);
+    }
+  }
+
+  const event = chooseReviewEvent({ findings: agreedFindings(findings), gate, unreviewed });
+  const mine = (await listPRReviews(gh, prNumber)).filter(r => String(r.body || "").includes(reviewMarker(toolName)));
+  const last = mine[mine.length - 1];
+  // the same event again changes nothing: an APPROVE the token may not give stays a COMMENT
+  if (!comments.length && !fileComments.length && last && last.state !== "DISMISSED" && requestedEvent(toolName, last) === event) {
+    console.log(`✅ Review unchanged (${event}); ${kept} thread(s) kept, ${resolved} resolved.`);
+    return { posted: 0, kept, resolved, event: null };
+  }
+
+  const headline = findings.length ? `${findings.length} finding(s), ${comments.length + fileComments.length} new inline comment(s).` : "No findings.";
+  const submitted = await submitWithFallback(gh, prNumber, {
+    commit_id: headSha,
+    event,
+    body: `**${cfg.label} review:** ${headline} See the summary comment for details.\n\n${reviewEventMarker(toolName, event)}`,
+    comments
+  });
+  // the reviews API has no file-level comments: they follow the review one by one
+  let filePosted = 0;
+  for (const c of fileComments) {
+    try {
+      await createFileComment(gh, prNumber, { commit_id: headSha, ...c });
+      filePosted += 1;
+    } catch (e) {
+      console.warn(`⚠️ Could not post file comment on ${c.path}: ${String(e.message || e)}`);
+    }
+  }
+  console.log(`✅ Review submitted (${submitted?.state || event}): ${comments.length} new, ${filePosted} file-level, ${kept} kept, ${resolved} resolved inline thread(s).`);
+  return { posted: comments.length + filePosted, kept, resolved, event };
+}
@@ -0,0 +1,179 @@
+/**
+ * profiles.mjs
+ *
+ * Language review profiles. Every reviewed file gets the first profile whose globs match it;
+ * batches hold files of one profile only (files.mjs, diff.mjs), and the profile decides who the
+ * model is asked to be and what it focuses on (review-engine.mjs promptForBatch).
+ * A profile's `rules` are static checks of its own (static-rules.mjs):
+ * - `re`: per-line pattern, one finding per matching line
+ * - `absent`: whole-file pattern; a file without it gets one finding on line 1
+ * Checks a bundled rule pack already makes (.github/REVIEW_RULES/*.rules.json) are not repeated here.
+ */
+
+import { matchesAny } from "./glob.mjs";
+import { WORKFLOW_GLOBS } from "./workflow-rules.mjs";
+
+const JS_GLOBS = ["*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}"];
+
+export const PROFILES = [
+  {
+    id: "github-actions",
+    name: "GitHub Actions workflows",
+    files: WORKFLOW_GLOBS,
+    reviewer: "a CI/CD security reviewer for GitHub Actions workflows",
+    focus: [
+      "Permissions (missing or over-broad `permissions`, write scopes a job does not need)",
+      "Supply chain (third-party actions referenced by tag or branch instead of a full commit SHA, unpinned installs)",
+      "Script injection (`${{ github.event.* }}` and other untrusted input expanded inside `run:`)",
+      "Untrusted code (pull_request_target / workflow_run jobs that check out or run PR code, secrets reachable from forks)",
+      "Correctness (triggers, conditions, job dependencies, caching keys)",
+      "Maintainability"
+    ],
+    // static checks: the YAML analyzer (workflow-rules.mjs)
+    rules: []
+  },
+  {
+    id: "react",
+    name: "JavaScript / TypeScript (React)",
+    files: JS_GLOBS,
+    reviewer: "a senior code reviewer for a React codebase",
+    focus: [
+      "Violations of TEAM RULES (naming, structure, hooks, accessibility, state mgmt, JSX readability)",
+      "Security (XSS from dangerouslySetInnerHTML / user HTML, command execution, secrets)",
+      "Correctness",
+      "Performance (avoid inline handlers in JSX causing rerenders, sync I/O in Node)",
+      "Test coverage",
+      "Maintainability"
+    ],
+    rules: []
+  },
+  {
+    id: "python",
+    name: "Python",
+    files: ["*.py"],
+    reviewer: "a senior Python code reviewer",
+    focus: [
+      "Violations of TEAM RULES",
+      "Security (SQL built with f-strings / % / format, subprocess with shell=True, pickle / yaml.load of untrusted data, path traversal)",
+      "Correctness (mutable default arguments, bare except, resource handling without `with`, None checks)",
+      "Performance (queries in loops, quadratic list operations)",
+      "Test coverage",
+      "Maintainability (typing, naming, module structure)"
+    ],
+    rules: [
+      { id: "py-shell-true", re: /\bsubprocess\.\w+\(.*\bshell\s*=\s*True\b/, severity: "high", msg: "subprocess call with shell=True; pass an argument list instead" },
+      { id: "py-sql-format", re: /\.execute(?:many)?\(\s*(?:f["']|["'][^"']*["']\s*(?:%|\.format\())/, severity: "high", msg: "SQL built by string formatting; use query parameters" },
+      { id: "py-unsafe-deserialize", re: /\b(?:pickle|cPickle|marshal)\.loads?\(|\byaml\.load\((?![^)]*SafeLoader)/, severity: "medium", msg: "Unsafe deserialization; never load untrusted data this way (use yaml.safe_load / JSON)" }
+    ]
+  },
+  {
+    id: "sql",
+    name: "SQL",
+    files: ["*.sql"],
+    reviewer: "a senior database reviewer (SQL schemas, migrations and queries)",
+    focus: [
+      "Violations of TEAM RULES",
+      "Security (SQL injection through dynamic SQL / string concatenation, over-broad GRANTs, plain-text secrets)",
+      "Data safety (UPDATE / DELETE without WHERE, destructive migrations without a backfill or rollback path, locking DDL on large tables)",
+      "Performance (missing indexes on foreign keys and filtered / joined columns, SELECT *, non-sargable predicates)",
+      "Correctness (NULL handling, constraints, transaction boundaries)",
+      "Maintainability"
+    ],
+    rules: [
+      {
+        id: "sql-dynamic-exec",
+        re: /\bEXEC(?:UTE)?(?:\s+IMMEDIATE)?\s*\(?\s*(?:'[^']*'\s*(?:\+|\|\|)|@\w+\s*(?:\+|\|\|)|CONCAT\s*\()/i,
+        severity: "high",
+        msg: "Dynamic SQL built by concatenation; use bind parameters (sp_executesql / USING)"
+      },
+      { id: "sql-grant-all", re: /\bGRANT\s+ALL\b/i, severity: "medium", msg: "GRANT ALL is over-broad; grant only the privileges needed" }
+    ]
+  },
+  {
+    id: "shell",
+    name: "Shell scripts",
+    files: ["*.{sh,bash}"],
+    reviewer: "a senior reviewer of shell scripts",
+    focus: [
+      "Violations of TEAM RULES",
+      "Error handling (missing `set -euo pipefail`, ignored exit codes, unchecked `cd`)",
+      "Quoting (unquoted variables and command substitutions, word splitting and globbing)",
+      "Security (eval, curl | sh, unsafe temp files, secrets in arguments or logs)",
+      "Portability (bashisms under /bin/sh, GNU-only flags)",
+      "Maintainability"
+    ],
+    rules: [
+      { id: "sh-errexit", absent: /^\s*set\s+(?:-[a-zA-Z]*e|-o\s+errexit)/m, severity: "low", msg: "Script does not `set -e` (better `set -euo pipefail`): failing commands are ignored" },
+      { id: "sh-eval", re: /^(?!\s*#)(?:.*[;&|(]\s*|\s*)eval\s/, severity: "medium", msg: "eval runs its arguments as code; avoid it or quote and validate every expanded value" }
+    ]
+  },
+  {
+    id: "config",
+    name: "YAML / JSON configuration",
+    files: ["*.{yml,yaml,json}"],
+    reviewer: "a senior reviewer of configuration files",
+    focus: [
+      "Violations of TEAM RULES",
+      "Security (secrets in plain text, insecure defaults, debug flags, over-broad access)",
+      "Correctness (wrong keys or types, conflicting or duplicate settings)",
+      "Maintainability"
+    ],
+    rules: []
+  },
+  {
+    id: "general",
+    name: "Other languages",
+    files: ["**"],
+    reviewer: "a senior code reviewer",
+    focus: [
+      "Violations of TEAM RULES",
+      "Security (injection, command execution, unsafe deserialization, secrets)",
+      "Correctness",
+      "Performance",
+      "Test coverage",
+      "Maintainability"
+    ],
+    rules: []
+  }
+];
+
+const BY_ID = new Map(PROFILES.map(p => [p.id, p]));
+
+/** rule descriptors for reports (SARIF) */
+export const PROFILE_RULES = PROFILES.flatMap(p => p.rules.map(({ id, severity, msg }) => ({ id, severity, msg })));
+
+export const profileFor = (file) => PROFILES.find(p => matchesAny(file, p.files));
+export const profileById = (id) => BY_ID.get(id) || BY_ID.get("general");
+
+/**
+ * `items` split by profile, in PROFILES order (input order within each group).
+ * @returns {Array<{ profile: object, items: object[] }>}
+ */
+export function groupByProfile(items, fileOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const profile = profileFor(fileOf(item));
+    if (!groups.has(profile.id)) groups.set(profile.id, []);
+    groups.get(profile.id).push(item);
+  }
+  return PROFILES.filter(p => groups.has(p.id)).map(profile => ({ profile, items: groups.get(profile.id) }));
+}
+
+/**
+ * Findings of `file`'s profile rules on `numberedLines` ([lineNumber, code] pairs).
+ * `src` is the whole file, needed by `absent` rules; without it (or when line 1 is not among
+ * the lines checked, e.g. a patch that leaves the top of the file alone) they are skipped.
+ */
+export function runProfileRules(file, numberedLines, src = null) {
+  const findings = [];
+  const at = (line, r) => findings.push({ file, line, severity: r.severity, ruleId: r.id, comment: `${r.msg} (rule: ${r.id})` });
+  const firstLine = numberedLines.some(([line]) => line === 1);
+  for (const r of profileFor(file).rules) {
+    if (r.absent) {
+      if (src != null && firstLine && !r.absent.test(src)) at(1, r);
+      continue;
+    }
+    for (const [line, code] of numberedLines) if (r.re.test(code)) at(line, r);
+  }
+  return findings;
+}
@@ -0,0 +1,198 @@
+/**
+ * providers.mjs
+ *
+ * Model providers behind one interface so every reviewer mode shares the same pipeline:
+ *
+ *   provider.complete({ system, prompt, input?, schema?, signal? }) → Promise<{ content: string, usage: object|null }>
+ *
+ * `input` is the untrusted text under review (already fenced, see injection.mjs): chat backends
+ * get it as a separate user message after the instructions in `prompt`, never spliced into them.
+ * When `schema` (a JSON Schema) is given, providers request structured/JSON output if the
+ * backend supports it (REVIEW_RESPONSE_FORMAT = json_schema | json_object | off).
+ *
+ * - "openrouter"        → OpenRouter chat completions (OPENROUTER_BASE_URL overridable)
+ * - "openai-compatible" → any /chat/completions server (OpenAI, Ollama, llama.cpp, vLLM …)
+ * - "codex"             → @openai/codex-sdk (loaded lazily; only that workflow installs it)
+ * - "mock"              → deterministic canned responses for tests and dry runs
+ *
+ * Errors carry `status` (HTTP code) when the backend returned one.
+ */
+
+import fs from "fs";
+import { fetchWithRetry } from "./http.mjs";
+
+export const PROVIDERS = ["openrouter", "openai-compatible", "codex", "mock"];
+
+export const PROVIDER_LABELS = {
+  openrouter: "OpenRouter",
+  "openai-compatible": "OpenAI-compatible",
+  codex: "Codex",
+  mock: "Mock"
+};
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// -------------------- OpenAI-style chat completions --------------------
+function responseFormatFor(mode, schema) {
+  if (!schema || mode === "off") return null;
+  if (mode === "json_schema") return { type: "json_schema", json_schema: { name: "review", strict: true, schema } };
+  return { type: "json_object" };
+}
+
+/**
+ * `models` is the primary model followed by fallbacks: when a model keeps failing after the
+ * HTTP retries (see http.mjs), the next one is tried. Auth errors and cancellation are final.
+ */
+function chatCompletionsProvider({ name, models, baseUrl, apiKey, headers = {}, responseFormat = "json_object", maxTokens = 1000, extraBody = {}, http = {} }) {
+  const base = String(baseUrl || "").replace(/\/$/, "");
+  const label = PROVIDER_LABELS[name];
+  let formatMode = responseFormat;
+
+  async function requestOnce(model, { system, prompt, input, schema, signal }) {
+    console.log(`🔎 Calling ${label} model: ${model}`);
+    const format = responseFormatFor(formatMode, schema);
+    const body = {
+      model,
+      temperature: 0,
+      max_tokens: maxTokens,
+      ...extraBody,
+      ...(format ? { response_format: format } : {}),
+      messages: [
+        ...(system ? [{ role: "system", content: system }] : []),
+        { role: "user", content: prompt },
+        ...(input ? [{ role: "user", content: input }] : [])
+      ]
+    };
+    const res = await fetchWithRetry(`${base}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+        ...headers
+      },
+      body: JSON.stringify(body)
+    }, { ...http, signal, label: `${label} ${model}` });
+    if (!res.ok) {
+      const txt = await res.text().catch(()=> "");
+      // Backends without structured output reject response_format: fall back to prompt-only JSON
+      if (format && res.status === 400 && /response_format|json_schema|json_object/i.test(txt)) {
+        console.warn(`⚠️ ${label} rejected response_format "${format.type}"; retrying without structured output.`);
+        formatMode = "off";
+        return requestOnce(model, { system, prompt, input, schema, signal });
+      }
+      throw httpError(`${label} API ${res.status}: ${txt.slice(0, 500)}`, res.status);
+    }
+    const j = await res.json();
+    return { content: j?.choices?.[0]?.message?.content ?? "", usage: j?.usage ?? null, model: j?.model || model };
+  }
+
+  return {
+    name,
+    model: models[0],
+    async complete(req) {
+      let lastError;
+      for (let i = 0; i < models.length; i++) {
+        try {
+          return await requestOnce(models[i], req);
+        } catch (e) {
+          if (req.signal?.aborted || e.status === 401 || e.status === 403) throw e;
+          lastError = e;
+          if (i + 1 < models.length) console.warn(`↪️ ${label} model ${models[i]} failed (${e.message}); falling back to ${models[i + 1]}`);
+        }
+      }
+      throw lastError;
+    }
+  };
+}
+
+// -------------------- Codex SDK --------------------
+function codexProvider({ model }) {
+  let codex = null;
+  return {
+    name: "codex",
+    model,
+    async complete({ system, prompt, input, schema }) {
+      if (!codex) {
+        const { Codex } = await import("@openai/codex-sdk");
+        codex = new Codex();
+      }
+      console.log(`🔎 Calling Codex${model ? ` model: ${model}` : ""}`);
+      // One thread per batch: batches must not see each other's code
+      const thread = codex.startThread(model ? { model } : undefined);
+      // A thread takes one text turn: the fenced input goes last, after every instruction
+      const out = await thread.run([system, prompt, input].filter(Boolean).join("\n\n"), {
+        output: "json",
+        ...(schema ? { outputSchema: schema } : {})
+      });
+      let content;
+      if (typeof out === "string") content = out;
+      else if (typeof out?.finalResponse === "string") content = out.finalResponse;
+      else content = JSON.stringify(out ?? {});
+      return { content, usage: out?.usage ?? null };
+    }
+  };
+}
+
+// -------------------- Mock (deterministic) --------------------
+/**
+ * REVIEW_MOCK_RESPONSES may point at a JSON file holding one response object or an array of
+ * them (served round-robin). Without it every batch gets an empty, valid review.
+ */
+function mockProvider({ model, responsesPath }) {
+  let responses = [{ findings: [], summary: "Mock review: no findings." }];
+  if (responsesPath) {
+    const j = JSON.parse(fs.readFileSync(responsesPath, "utf8"));
+    responses = Array.isArray(j) ? j : [j];
+  }
+  let i = 0;
+  return {
+    name: "mock",
+    model,
+    async complete() {
+      const r = responses[i++ % responses.length];
+      return { content: typeof r === "string" ? r : JSON.stringify(r), usage: null };
+    }
+  };
+}
+
+/** Build the provider selected by config (see config.mjs). */
+export function createProvider(cfg) {
+  switch (cfg.provider) {
+    case "openrouter":
+      return chatCompletionsProvider({
+        name: "openrouter",
+        models: [cfg.model, ...cfg.fallbackModels],
+        baseUrl: cfg.baseUrl,
+        apiKey: cfg.apiKey,
+        responseFormat: cfg.responseFormat,
+        maxTokens: cfg.maxTokens,
+        // OpenRouter reports the billed cost in `usage` when asked to
+        extraBody: { usage: { include: true } },
+        http: cfg.http,
+        headers: {
+          ...(cfg.attribution?.siteUrl ? { "HTTP-Referer": cfg.attribution.siteUrl } : {}),
+          ...(cfg.attribution?.title ? { "X-Title": cfg.attribution.title } : {})
+        }
+      });
+    case "openai-compatible":
+      return chatCompletionsProvider({
+        name: "openai-compatible",
+        models: [cfg.model, ...cfg.fallbackModels],
+        baseUrl: cfg.baseUrl,
+        apiKey: cfg.apiKey,
+        responseFormat: cfg.responseFormat,
+        maxTokens: cfg.maxTokens,
+        http: cfg.http
+      });
+    case "codex":
+      return codexProvider({ model: cfg.model });
+    case "mock":
+      return mockProvider({ model: cfg.model, responsesPath: cfg.mockResponses });
+    default:
+      throw new Error(`Unknown review provider "${cfg.provider}" (expected one of: ${PROVIDERS.join(", ")})`);
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * quality-gate.mjs
+ *
+ * Severity gate over the NEW findings of a run (after baseline / inline suppression).
+ *
+ * REVIEW_FAIL_ON is a comma-separated list of conditions, any of which fails the run:
+ *   high          → fail on any high finding (same as high>0)
+ *   medium>5      → fail when there are more than 5 medium findings
+ *   medium+>10    → fail when there are more than 10 findings of medium severity or worse
+ * Empty or "off" disables the gate.
+ */
+
+import { SEVERITIES } from "./findings-schema.mjs";
+
+const CONDITION_RE = /^(high|medium|low|info)(\+)?(?:\s*>\s*(\d+))?$/;
+
+/** @returns {{ conditions: Array<{ severity: string, orWorse: boolean, max: number, spec: string }>, errors: string[] }} */
+export function parseGateSpec(spec) {
+  const conditions = [];
+  const errors = [];
+  const raw = String(spec || "").trim().toLowerCase();
+  if (!raw || raw === "off") return { conditions, errors };
+  for (const part of raw.split(",").map(s => s.trim()).filter(Boolean)) {
+    const m = CONDITION_RE.exec(part);
+    if (!m) {
+      errors.push(`Invalid REVIEW_FAIL_ON condition "${part}" (expected e.g. "high", "medium>5" or "medium+>10").`);
+      continue;
+    }
+    conditions.push({ severity: m[1], orWorse: Boolean(m[2]), max: m[3] ? Number(m[3]) : 0, spec: part });
+  }
+  return { conditions, errors };
+}
+
+export function countBySeverity(findings) {
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  for (const f of findings) if (f && counts[f.severity] !== undefined) counts[f.severity] += 1;
+  return counts;
+}
+
+/**
+ * @returns {{ enabled: boolean, passed: boolean, counts: object, violations: Array<{ spec: string, count: number, max: number }> }}
+ */
+export function evaluateGate(findings, conditions) {
+  const counts = countBySeverity(findings);
+  const violations = [];
+  for (const c of conditions) {
+    const included = c.orWorse ? SEVERITIES.slice(0, SEVERITIES.indexOf(c.severity) + 1) : [c.severity];
+    const count = included.reduce((n, s) => n + counts[s], 0);
+    if (count > c.max) violations.push({ spec: c.spec, count, max: c.max });
+  }
+  return { enabled: conditions.length > 0, passed: violations.length === 0, counts, violations };
+}
+
+export function describeGate(gate) {
+  if (!gate?.enabled) return "";
+  if (gate.passed) return "🚦 Quality gate: **passed**";
+  return `🚦 Quality gate: **failed** — ${gate.violations.map(v => `\`${v.spec}\` (found ${v.count}, allowed ${v.max})`).join("; ")}`;
+}
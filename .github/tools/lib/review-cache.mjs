@@ -0,0 +1,55 @@
+/**
+ * review-cache.mjs
+ *
+ * Persistent per-file cache for full-repo reviews.
+ * Entries are keyed by file path and hold the findings of the last review of that file,
+ * valid only while the content hash, model and prompt version are unchanged.
+ *
+ * The cache is a plain JSON file so workflows can persist it with actions/cache or as an artifact.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const CACHE_FORMAT = 1;
+
+export const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+export function cacheKey({ content, model, promptVersion }) {
+  return sha256(`${CACHE_FORMAT}\u0000${model}\u0000${promptVersion}\u0000${sha256(content)}`);
+}
+
+export function loadReviewCache(file) {
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (j && j.format === CACHE_FORMAT && j.entries && typeof j.entries === "object") {
+      return { format: CACHE_FORMAT, entries: j.entries };
+    }
+    console.warn(`⚠️ Ignoring review cache with unknown format: ${file}`);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`⚠️ Could not read review cache ${file}: ${e.message}`);
+  }
+  return { format: CACHE_FORMAT, entries: {} };
+}
+
+/** cached findings for `rel`, or null when the entry is missing or stale */
+export function cachedFindings(cache, rel, key) {
+  const e = cache.entries[rel];
+  return e && e.key === key && Array.isArray(e.findings) ? e.findings : null;
+}
+
+export function storeFindings(cache, rel, key, findings) {
+  cache.entries[rel] = { key, findings, reviewedAt: new Date().toISOString() };
+}
+
+/** write the cache, keeping only entries for files that still exist in this run */
+export function saveReviewCache(file, cache, keepPaths) {
+  const keep = new Set(keepPaths);
+  const entries = {};
+  for (const [rel, e] of Object.entries(cache.entries)) {
+    if (keep.has(rel)) entries[rel] = e;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ format: CACHE_FORMAT, entries }, null, 2), "utf8");
+}
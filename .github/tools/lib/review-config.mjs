@@ -0,0 +1,196 @@
+/**
+ * review-config.mjs
+ *
+ * Optional repo config: .github/review.config.json, .github/review.config.yml or .github/review.config.yaml
+ * (YAML needs the `yaml` package). Every key is optional:
+ *
+ * {
+ *   "scan": {
+ *     "include": ["src/**", "**\/*.{js,jsx,ts,tsx}"],   // replaces the default extension list (full-repo scan)
+ *     "exclude": ["**\/*.min.js", "fixtures/**"],       // on top of the built-in excludes; PR mode too
+ *     "sensitive": ["**\/*.keystore"],                  // never read or sent to the model
+ *     "respectGitignore": true,                         // skip what .gitignore files ignore (default true)
+ *     "maxFiles": 600, "maxFileChars": 40000, "maxBatchChars": 100000, "prMaxBatchChars": 80000,
+ *     "chunkOverlapLines": 20, "maxChunksPerFile": 10
+ *   },
+ *   "inline": { "severities": ["high", "medium"], "max": 20 },   // PR inline comments
+ *   "secrets": {                                      // secret findings (secrets.mjs); values are redacted regardless
+ *     "allowPaths": ["docs/examples/**"],             // on top of the default test-fixture paths
+ *     "allowFingerprints": ["0b719b1eb85e4627"]       // `secretFingerprint` of accepted findings
+ *   },
+ *   "model": {
+ *     "provider": "openrouter", "model": "…", "fallbackModels": ["…"], "baseUrl": "…",
+ *     "responseFormat": "json_object", "maxTokens": 1000, "concurrency": 2, "repairAttempts": 2,
+ *     "failOn": "high",
+ *     "ensembleModels": ["…", "…"], "minConfidence": 0.6   // consensus review (consensus.mjs)
+ *   }
+ * }
+ *
+ * Environment variables win over "model" settings. API keys and MODEL_ALLOWLIST stay out of
+ * the file: they belong to secrets / repo variables, not to code a PR can change. For the same
+ * reason PR reviews reject "provider" and "baseUrl" from the file (the API key goes where they
+ * point): set REVIEW_PROVIDER / REVIEW_BASE_URL in the workflow instead.
+ * A root `.reviewignore` (gitignore syntax, see ignore.mjs) excludes paths as well.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+
+export const CONFIG_PATHS = [".github/review.config.json", ".github/review.config.yml", ".github/review.config.yaml"];
+
+const SEVERITIES = ["high", "medium", "low", "info"];
+const SCAN_LIMITS = ["maxFiles", "maxFileChars", "maxBatchChars", "prMaxBatchChars", "chunkOverlapLines", "maxChunksPerFile"];
+const SCAN_KEYS = ["include", "exclude", "sensitive", "respectGitignore", ...SCAN_LIMITS];
+const INLINE_KEYS = ["severities", "max"];
+const SECRETS_KEYS = ["allowPaths", "allowFingerprints"];
+
+/** "model" keys → the env variable each one defaults */
+const MODEL_ENV = {
+  provider: "REVIEW_PROVIDER",
+  model: "REVIEW_MODEL",
+  fallbackModels: "REVIEW_FALLBACK_MODELS",
+  baseUrl: "REVIEW_BASE_URL",
+  responseFormat: "REVIEW_RESPONSE_FORMAT",
+  maxTokens: "REVIEW_MAX_TOKENS",
+  concurrency: "REVIEW_CONCURRENCY",
+  repairAttempts: "REVIEW_REPAIR_ATTEMPTS",
+  failOn: "REVIEW_FAIL_ON",
+  ensembleModels: "REVIEW_ENSEMBLE_MODELS",
+  minConfidence: "REVIEW_ENSEMBLE_MIN_CONFIDENCE"
+};
+/** "model" keys that decide where requests, and so the API key, are sent */
+const ENDPOINT_KEYS = ["provider", "baseUrl"];
+const FORBIDDEN_MODEL_KEYS = { apiKey: "use a secret (REVIEW_API_KEY / OPENROUTER_API_KEY)", allowlist: "use the MODEL_ALLOWLIST repo variable" };
+
+const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+const isGlobList = (v) => Array.isArray(v) && v.every(g => typeof g === "string" && g.trim());
+
+function parseYaml(text) {
+  let YAML;
+  try {
+    YAML = createRequire(import.meta.url)("yaml");
+  } catch {
+    throw new Error(`reading YAML needs the "yaml" package (npm install yaml); or use ${CONFIG_PATHS[0]}`);
+  }
+  return YAML.parse(text);
+}
+
+/** `prefix` like "scan." ("" at the top level) */
+function unknownKeys(obj, allowed, prefix) {
+  return Object.keys(obj).filter(k => !allowed.includes(k)).map(k => `${prefix}${k} is not a known setting (expected one of: ${allowed.join(", ")})`);
+}
+
+/** → list of problems, each naming the offending key */
+export function validateReviewConfig(c) {
+  if (!isObject(c)) return ["expected an object at the top level"];
+  const errors = unknownKeys(c, ["scan", "inline", "secrets", "model"], "");
+
+  if (c.scan !== undefined) {
+    if (!isObject(c.scan)) errors.push("scan must be an object");
+    else {
+      const s = c.scan;
+      errors.push(...unknownKeys(s, SCAN_KEYS, "scan."));
+      for (const k of ["include", "exclude", "sensitive"]) {
+        if (s[k] !== undefined && !isGlobList(s[k])) errors.push(`scan.${k} must be an array of non-empty glob strings`);
+      }
+      if (s.include !== undefined && isGlobList(s.include) && !s.include.length) errors.push("scan.include must not be empty (omit it to use the default extensions)");
+      if (s.respectGitignore !== undefined && typeof s.respectGitignore !== "boolean") errors.push("scan.respectGitignore must be true or false");
+      for (const k of SCAN_LIMITS) {
+        const min = k === "chunkOverlapLines" ? 0 : 1;
+        if (s[k] !== undefined && (!Number.isInteger(s[k]) || s[k] < min)) errors.push(`scan.${k} must be an integer >= ${min}`);
+      }
+    }
+  }
+
+  if (c.inline !== undefined) {
+    if (!isObject(c.inline)) errors.push("inline must be an object");
+    else {
+      errors.push(...unknownKeys(c.inline, INLINE_KEYS, "inline."));
+      const sev = c.inline.severities;
+      if (sev !== undefined && !(Array.isArray(sev) && sev.every(x => SEVERITIES.includes(x)))) {
+        errors.push(`inline.severities must be an array of: ${SEVERITIES.join(", ")}`);
+      }
+      if (c.inline.max !== undefined && (!Number.isInteger(c.inline.max) || c.inline.max < 0)) errors.push("inline.max must be an integer >= 0");
+    }
+  }
+
+  if (c.secrets !== undefined) {
+    if (!isObject(c.secrets)) errors.push("secrets must be an object");
+    else {
+      errors.push(...unknownKeys(c.secrets, SECRETS_KEYS, "secrets."));
+      if (c.secrets.allowPaths !== undefined && !isGlobList(c.secrets.allowPaths)) errors.push("secrets.allowPaths must be an array of non-empty glob strings");
+      const fps = c.secrets.allowFingerprints;
+      if (fps !== undefined && !(Array.isArray(fps) && fps.every(x => typeof x === "string" && /^[0-9a-f]{16}$/.test(x)))) {
+        errors.push("secrets.allowFingerprints must be an array of 16-character hex fingerprints");
+      }
+    }
+  }
+
+  if (c.model !== undefined) {
+    if (!isObject(c.model)) errors.push("model must be an object");
+    else {
+      for (const [k, hint] of Object.entries(FORBIDDEN_MODEL_KEYS)) if (k in c.model) errors.push(`model.${k} must not be set in the config file; ${hint}`);
+      errors.push(...unknownKeys(
+        Object.fromEntries(Object.entries(c.model).filter(([k]) => !(k in FORBIDDEN_MODEL_KEYS))), Object.keys(MODEL_ENV), "model."
+      ));
+      for (const [k, v] of Object.entries(c.model)) {
+        if (!(k in MODEL_ENV)) continue;
+        if (k === "fallbackModels" || k === "ensembleModels") {
+          if (!isGlobList(v)) errors.push(`model.${k} must be an array of model ids`);
+        } else if (k === "minConfidence") {
+          if (typeof v !== "number" || !(v >= 0 && v <= 1)) errors.push("model.minConfidence must be a number from 0 to 1");
+        } else if (["maxTokens", "concurrency", "repairAttempts"].includes(k)) {
+          if (!Number.isInteger(v)) errors.push(`model.${k} must be an integer`);
+        } else if (typeof v !== "string" || !v.trim()) {
+          errors.push(`model.${k} must be a non-empty string`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Find, parse and validate the config file under `root`.
+ * @returns {{ path: string|null, config: object, errors: string[] }} `config` is {} when absent or invalid
+ */
+export function loadReviewConfig(root = process.cwd()) {
+  const found = CONFIG_PATHS.filter(p => fs.existsSync(path.join(root, p)));
+  if (!found.length) return { path: null, config: {}, errors: [] };
+  if (found.length > 1) return { path: found[0], config: {}, errors: [`Found ${found.join(" and ")}; keep only one review config file.`] };
+
+  const file = found[0];
+  let config;
+  try {
+    const text = fs.readFileSync(path.join(root, file), "utf8");
+    config = file.endsWith(".json") ? JSON.parse(text) : parseYaml(text);
+  } catch (e) {
+    return { path: file, config: {}, errors: [`${file}: cannot parse (${String(e.message).split("\n")[0]})`] };
+  }
+  if (config == null) config = {};
+  const errors = validateReviewConfig(config).map(e => `${file}: ${e}`);
+  return { path: file, config: errors.length ? {} : config, errors };
+}
+
+const isSet = (v) => v !== undefined && v !== "";
+
+/**
+ * "model" settings as env defaults; set (non-empty) variables in `env` win.
+ * `endpoint: false` leaves out "provider" and "baseUrl" (runs on a checkout a PR can change).
+ */
+export function withModelDefaults(env, config, { endpoint = true } = {}) {
+  const defaults = {};
+  for (const [k, v] of Object.entries(config.model || {})) {
+    if (!MODEL_ENV[k] || (!endpoint && ENDPOINT_KEYS.includes(k))) continue;
+    defaults[MODEL_ENV[k]] = Array.isArray(v) ? v.join(",") : String(v);
+  }
+  const set = Object.fromEntries(Object.entries(env).filter(([, v]) => isSet(v)));
+  return { ...defaults, ...set };
+}
+
+/** problems for a PR review: "provider" / "baseUrl" in the file that `env` does not override */
+export function endpointOverrideErrors(env, { path: file, config }) {
+  return ENDPOINT_KEYS.filter(k => config.model?.[k] !== undefined && !isSet(env[MODEL_ENV[k]]))
+    .map(k => `${file}: model.${k} is not used for PR reviews, since the PR can change it and the API key goes where it points; set ${MODEL_ENV[k]} in the workflow instead`);
+}
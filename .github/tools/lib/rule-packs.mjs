@@ -0,0 +1,151 @@
+/**
+ * rule-packs.mjs
+ *
+ * Machine-readable review rules loaded from .github/REVIEW_RULES/*.rules.json.
+ *
+ * Pack format:
+ * {
+ *   "pack": "react",
+ *   "description": "…",
+ *   "rules": [
+ *     {
+ *       "id": "react-hooks-cleanup",          // unique across all packs
+ *       "title": "Clean up effects",
+ *       "severity": "high|medium|low|info",
+ *       "files": ["*.jsx", "*.tsx"],          // globs (see glob.mjs)
+ *       "rationale": "why the rule exists",
+ *       "pattern": { "regex": "…", "flags": "i", "message": "…" }   // optional line check
+ *     }
+ *   ]
+ * }
+ *
+ * Only rules whose globs match a batch's files are put in the prompt, and model findings
+ * must cite one of those ids (or GENERAL_RULE_ID).
+ */
+
+import fs from "fs";
+import path from "path";
+import { matchesAny } from "./glob.mjs";
+
+export const DEFAULT_RULES_DIR = path.join(".github", "REVIEW_RULES");
+export const GENERAL_RULE_ID = "general";
+
+const SEVERITIES = ["high", "medium", "low", "info"];
+const ID_RE = /^[a-z0-9][a-z0-9._-]*$/;
+
+function validatePack(pack, file, seen) {
+  const errors = [];
+  const where = (i, key) => `${file}: rules[${i}]${key ? `.${key}` : ""}`;
+  if (!pack || typeof pack !== "object") return [`${file}: expected a JSON object`];
+  if (typeof pack.pack !== "string" || !pack.pack.trim()) errors.push(`${file}: "pack" must be a non-empty string`);
+  if (!Array.isArray(pack.rules)) return [...errors, `${file}: "rules" must be an array`];
+
+  pack.rules.forEach((r, i) => {
+    if (!r || typeof r !== "object") { errors.push(`${where(i)} must be an object`); return; }
+    if (typeof r.id !== "string" || !ID_RE.test(r.id)) errors.push(`${where(i, "id")} must match ${ID_RE}`);
+    else if (r.id === GENERAL_RULE_ID) errors.push(`${where(i, "id")} "${GENERAL_RULE_ID}" is reserved`);
+    else if (seen.has(r.id)) errors.push(`${where(i, "id")} "${r.id}" is already defined in ${seen.get(r.id)}`);
+    else seen.set(r.id, file);
+    if (typeof r.title !== "string" || !r.title.trim()) errors.push(`${where(i, "title")} must be a non-empty string`);
+    if (!SEVERITIES.includes(r.severity)) errors.push(`${where(i, "severity")} must be one of ${SEVERITIES.join("|")}`);
+    if (!Array.isArray(r.files) || !r.files.length || r.files.some(g => typeof g !== "string" || !g.trim())) {
+      errors.push(`${where(i, "files")} must be a non-empty array of globs`);
+    }
+    if (typeof r.rationale !== "string" || !r.rationale.trim()) errors.push(`${where(i, "rationale")} must be a non-empty string`);
+    if (r.pattern !== undefined) {
+      if (!r.pattern || typeof r.pattern.regex !== "string") errors.push(`${where(i, "pattern.regex")} must be a string`);
+      else {
+        try { new RegExp(r.pattern.regex, r.pattern.flags || ""); }
+        catch (e) { errors.push(`${where(i, "pattern.regex")} is invalid: ${e.message}`); }
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Load and validate every *.rules.json pack in `dir`. Throws with all problems listed.
+ * @returns {{ packs: object[], rules: object[] }}
+ */
+export function loadRulePacks(dir = DEFAULT_RULES_DIR) {
+  let names = [];
+  try { names = fs.readdirSync(dir).filter(n => n.endsWith(".rules.json")).sort(); }
+  catch (e) { if (e.code !== "ENOENT") throw e; }
+
+  const packs = [];
+  const errors = [];
+  const seen = new Map();
+  for (const name of names) {
+    const file = path.join(dir, name);
+    let pack;
+    try { pack = JSON.parse(fs.readFileSync(file, "utf8")); }
+    catch (e) { errors.push(`${file}: invalid JSON (${e.message})`); continue; }
+    const errs = validatePack(pack, file, seen);
+    if (errs.length) { errors.push(...errs); continue; }
+    packs.push({
+      name: pack.pack,
+      file,
+      rules: pack.rules.map(r => ({
+        ...r,
+        pack: pack.pack,
+        ...(r.pattern ? { re: new RegExp(r.pattern.regex, (r.pattern.flags || "").replace("g", "")) } : {})
+      }))
+    });
+  }
+  if (errors.length) {
+    throw new Error(`Invalid review rule pack(s):\n  - ${errors.join("\n  - ")}`);
+  }
+  return { packs, rules: packs.flatMap(p => p.rules) };
+}
+
+/** rules whose globs match at least one of `files` */
+export function rulesForFiles(rules, files) {
+  return rules.filter(r => files.some(f => matchesAny(f, r.files)));
+}
+
+export function formatRulesForPrompt(rules) {
+  if (!rules.length) return "(no team rules apply to these files)";
+  return rules.map(r => `- [${r.id}] (${r.severity}) ${r.title} — ${r.rationale} (applies to: ${r.files.join(", ")})`).join("\n");
+}
+
+/** descriptors for reports (SARIF) */
+export const ruleDescriptors = (rules) => rules.map(r => ({ id: r.id, title: r.title, msg: r.rationale, severity: r.severity }));
+
+/**
+ * Line-pattern checks of the rules that define `pattern`.
+ * @param {Array<[number, string]>} numberedLines [lineNumber, code] pairs to test
+ */
+export function runPackPatterns(rules, file, numberedLines) {
+  const active = rules.filter(r => r.re && matchesAny(file, r.files));
+  const findings = [];
+  for (const [line, code] of numberedLines) {
+    for (const r of active) {
+      if (r.re.test(code)) {
+        findings.push({
+          file,
+          line,
+          severity: r.severity,
+          ruleId: r.id,
+          comment: `${r.pattern.message || r.title} (rule: ${r.id})`
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Validate model-cited rule ids against the rules offered for the batch.
+ * Unknown or missing ids are mapped to GENERAL_RULE_ID and counted.
+ */
+export function validateRuleIds(findings, allowedRules) {
+  const allowed = new Set(allowedRules.map(r => r.id));
+  let invalid = 0;
+  const out = findings.map(f => {
+    if (!f || typeof f !== "object") return f;
+    if (f.ruleId === GENERAL_RULE_ID || allowed.has(f.ruleId)) return f;
+    invalid += 1;
+    return { ...f, ruleId: GENERAL_RULE_ID, ...(f.ruleId ? { citedRuleId: String(f.ruleId) } : {}) };
+  });
+  return { findings: out, invalid };
+}
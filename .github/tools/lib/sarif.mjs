@@ -0,0 +1,119 @@
+/**
+ * sarif.mjs
+ *
+ * Converts reviewer findings ({ file, line, severity, comment, edit?, suggestion?, ruleId? })
+ * into a SARIF 2.1.0 log so results show up in code-scanning UIs and SARIF viewers.
+ *
+ * Findings with a `ruleId` that matches a known rule descriptor (e.g. STATIC_RULES)
+ * are linked to it; everything else is reported under the generic model rule.
+ */
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const MODEL_RULE_ID = "llm-review";
+
+const LEVELS = { high: "error", medium: "warning", low: "note", info: "note" };
+// GitHub code scanning reads this property to rank results
+const SECURITY_SEVERITY = { high: "8.0", medium: "5.0", low: "2.0", info: "0.0" };
+
+const levelFor = (sev) => LEVELS[String(sev || "info").toLowerCase()] || "note";
+
+function ruleDescriptor({ id, msg, severity, title }) {
+  const sev = String(severity || "info").toLowerCase();
+  return {
+    id,
+    name: id,
+    shortDescription: { text: title || msg || id },
+    fullDescription: { text: msg || title || id },
+    defaultConfiguration: { level: levelFor(sev) },
+    properties: { "security-severity": SECURITY_SEVERITY[sev] || "0.0", tags: ["code-review"] }
+  };
+}
+
+function toUri(file) {
+  return String(file || "").replace(/\\/g, "/").replace(/^\.\//, "");
+}
+
+function resultFor(f, ruleIndex) {
+  const ruleId = f.ruleId && ruleIndex.has(f.ruleId) ? f.ruleId : MODEL_RULE_ID;
+  const line = Number.isInteger(Number(f.line)) && Number(f.line) > 0 ? Number(f.line) : 1;
+  const uri = toUri(f.file);
+  const region = { startLine: line };
+  if (Number(f.column) > 0) region.startColumn = Number(f.column);
+  if (Number(f.endLine) >= line) region.endLine = Number(f.endLine);
+  if (Number(f.endColumn) > 0) region.endColumn = Number(f.endColumn);
+  const result = {
+    ruleId,
+    ruleIndex: ruleIndex.get(ruleId),
+    level: levelFor(f.severity),
+    message: { text: String(f.comment || "Issue").trim() },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri, uriBaseId: "%SRCROOT%" },
+        region
+      }
+    }],
+    properties: {
+      severity: String(f.severity || "info").toLowerCase(),
+      ...(f.agreement ? { confidence: f.confidence, models: f.models, lowAgreement: Boolean(f.lowAgreement) } : {})
+    }
+  };
+  if (f.fingerprint) result.partialFingerprints = { "reviewFingerprint/v1": f.fingerprint };
+  if (f.edit) {
+    const { startLine, endLine, replacement } = f.edit;
+    result.fixes = [{
+      description: { text: `Suggested replacement for lines ${startLine}-${endLine}` },
+      artifactChanges: [{
+        artifactLocation: { uri, uriBaseId: "%SRCROOT%" },
+        replacements: [{
+          // whole lines: from the start of startLine to the start of the line after endLine
+          deletedRegion: { startLine, startColumn: 1, endLine: endLine + 1, endColumn: 1 },
+          insertedContent: { text: replacement ? `${replacement.replace(/\n$/, "")}\n` : "" }
+        }]
+      }]
+    }];
+  } else if (f.suggestion) {
+    result.fixes = [{
+      description: { text: `Suggested replacement for line ${line}` },
+      artifactChanges: [{
+        artifactLocation: { uri, uriBaseId: "%SRCROOT%" },
+        replacements: [{
+          deletedRegion: { startLine: line },
+          insertedContent: { text: String(f.suggestion) }
+        }]
+      }]
+    }];
+  }
+  return result;
+}
+
+/**
+ * Build a SARIF log.
+ * @param {Array<object>} findings reviewer findings
+ * @param {{ toolName: string, rules?: Array<{id:string,msg?:string,severity?:string,title?:string}>, informationUri?: string }} opts
+ */
+export function toSarif(findings, { toolName, rules = [], informationUri } = {}) {
+  const descriptors = [
+    ruleDescriptor({ id: MODEL_RULE_ID, msg: "Issue reported by the model-based code review", severity: "medium" }),
+    ...rules.filter(r => r && r.id && r.id !== MODEL_RULE_ID).map(ruleDescriptor)
+  ];
+  const ruleIndex = new Map(descriptors.map((r, i) => [r.id, i]));
+  const results = (Array.isArray(findings) ? findings : [])
+    .filter(f => f && f.file)
+    .map(f => resultFor(f, ruleIndex));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name: toolName || "code-review",
+          ...(informationUri ? { informationUri } : {}),
+          rules: descriptors
+        }
+      },
+      originalUriBaseIds: { "%SRCROOT%": { uri: "file:///" + toUri(process.cwd()).replace(/^\//, "") + "/" } },
+      results
+    }]
+  };
+}
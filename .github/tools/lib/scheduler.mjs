@@ -0,0 +1,99 @@
+/**
+ * scheduler.mjs
+ *
+ * Bounded-concurrency batch scheduling with a run-wide token / cost budget.
+ * - Token use of a request is estimated up front (≈ 4 chars per token + the max_tokens reply)
+ *   and reserved; the reservation is replaced by the provider's reported `usage` afterwards.
+ * - Once a batch would push the run past the budget, no further batches are started;
+ *   the ones already in flight finish normally.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+export const estimateTokens = (text) => Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+
+/** OpenAI-style, Codex-style and OpenRouter `usage` objects → one shape */
+export function normalizeUsage(u) {
+  if (!u || typeof u !== "object") return null;
+  const prompt = Number(u.prompt_tokens ?? u.input_tokens ?? 0) || 0;
+  const completion = Number(u.completion_tokens ?? u.output_tokens ?? 0) || 0;
+  const total = Number(u.total_tokens ?? prompt + completion) || 0;
+  const cost = Number.isFinite(Number(u.cost)) ? Number(u.cost) : null;
+  return { prompt, completion, total, cost };
+}
+
+/**
+ * @param {{ maxTokens?: number, maxCostUsd?: number, pricing?: { inputPerMTok: number, outputPerMTok: number } }} opts
+ *   limits of 0 / undefined mean "unlimited"; pricing (USD per million tokens) is needed for a cost limit
+ */
+export function createBudget({ maxTokens = 0, maxCostUsd = 0, pricing = null } = {}) {
+  const used = { requests: 0, prompt: 0, completion: 0, total: 0, cost: 0 };
+  let reserved = { tokens: 0, cost: 0 };
+  let exhausted = false;
+
+  const priceOf = (prompt, completion) => pricing
+    ? (prompt * pricing.inputPerMTok + completion * pricing.outputPerMTok) / 1e6
+    : 0;
+
+  return {
+    /**
+     * Reserve an estimate before a request is sent.
+     * @returns {object|null} reservation, or null when the budget would be exceeded
+     */
+    reserve({ promptTokens, completionTokens }) {
+      if (exhausted) return null;
+      const tokens = promptTokens + completionTokens;
+      const cost = priceOf(promptTokens, completionTokens);
+      if ((maxTokens && used.total + reserved.tokens + tokens > maxTokens) ||
+          (maxCostUsd && used.cost + reserved.cost + cost > maxCostUsd)) {
+        exhausted = true;
+        return null;
+      }
+      reserved = { tokens: reserved.tokens + tokens, cost: reserved.cost + cost };
+      return { tokens, cost };
+    },
+
+    /** release a reservation and book what was actually spent (`usage` from normalizeUsage) */
+    settle(reservation, usages) {
+      if (reservation) reserved = { tokens: reserved.tokens - reservation.tokens, cost: reserved.cost - reservation.cost };
+      for (const u of usages) {
+        used.requests += 1;
+        if (!u) continue;
+        used.prompt += u.prompt;
+        used.completion += u.completion;
+        used.total += u.total;
+        used.cost += u.cost ?? priceOf(u.prompt, u.completion);
+      }
+    },
+
+    get exhausted() { return exhausted; },
+
+    report() {
+      return {
+        requests: used.requests,
+        promptTokens: used.prompt,
+        completionTokens: used.completion,
+        totalTokens: used.total,
+        costUsd: pricing || used.cost ? Number(used.cost.toFixed(6)) : null,
+        budget: { maxTokens: maxTokens || null, maxCostUsd: maxCostUsd || null, exhausted }
+      };
+    }
+  };
+}
+
+/**
+ * Run `worker(item, index)` over items with at most `limit` in flight.
+ * Results keep the input order.
+ */
+export async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane));
+  return results;
+}
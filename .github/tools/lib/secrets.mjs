@@ -0,0 +1,169 @@
+/**
+ * secrets.mjs
+ *
+ * Secret scanning shared by every mode:
+ * - redact(text): replaces likely secrets before any code is sent to a model
+ * - scanSecrets(file, numberedLines, opts): one high-severity local finding per secret, so a
+ *   leak is flagged even though the model only ever sees "[REDACTED:<rule>]"
+ *
+ * Detection = a catalog of provider token formats, keyword assignments, credentials in
+ * connection strings, and high-entropy string literals. Findings never contain the value,
+ * only a `secretFingerprint` (truncated sha256 of rule + value) that can be allowlisted.
+ * Placeholder / documentation values and test-fixture paths are allowlisted by default.
+ */
+
+import crypto from "crypto";
+import { matchesAny } from "./glob.mjs";
+
+const KEYWORD = String.raw`(?:api[_-]?key|apikey|secret(?:[_-]?key)?|token|passw(?:or)?d|pwd|auth[_-]?token|access[_-]?key|client[_-]?secret|private[_-]?key|credentials?)`;
+
+/**
+ * Most specific first: spans already claimed by an earlier rule are not reported again.
+ * `re` needs the `g` and `d` flags; capture group 1, when present, is the secret itself.
+ * Line-anchored rules also accept diff ("+") and numbered-context ("  12| ") prefixes.
+ * `bare`: the value is unquoted (.env, shell, YAML), so it must look like data, not code (bareCredential).
+ */
+export const SECRET_RULES = [
+  { id: "private-key", title: "Private key", re: /-----BEGIN [A-Z ]*PRIVATE KEY(?: BLOCK)?-----(?:[\s\S]*?-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----)?/gd },
+  { id: "aws-access-key", title: "AWS access key ID", re: /\b((?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16})\b/gd },
+  { id: "aws-secret-key", title: "AWS secret access key", re: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+]{40})\b/gdi },
+  { id: "github-token", title: "GitHub token", re: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/gd },
+  { id: "gitlab-token", title: "GitLab token", re: /\b(glpat-[A-Za-z0-9_-]{20,})\b/gd },
+  { id: "slack-token", title: "Slack token", re: /\b(xox[abposr]-[A-Za-z0-9-]{10,})\b/gd },
+  { id: "slack-webhook", title: "Slack webhook URL", re: /(https:\/\/hooks\.slack\.com\/services\/T[A-Za-z0-9_]+\/B[A-Za-z0-9_]+\/[A-Za-z0-9_]+)/gd },
+  { id: "stripe-key", title: "Stripe secret key", re: /\b((?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,})\b/gd },
+  { id: "google-api-key", title: "Google API key", re: /\b(AIza[0-9A-Za-z_-]{35})\b/gd },
+  { id: "google-oauth-token", title: "Google OAuth access token", re: /\b(ya29\.[0-9A-Za-z_-]{20,})\b/gd },
+  { id: "anthropic-key", title: "Anthropic API key", re: /\b(sk-ant-[A-Za-z0-9_-]{32,})\b/gd },
+  { id: "openrouter-key", title: "OpenRouter API key", re: /\b(sk-or-v1-[a-f0-9]{64})\b/gd },
+  { id: "openai-key", title: "OpenAI API key", re: /\b(sk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,})\b/gd },
+  { id: "npm-token", title: "npm access token", re: /\b(npm_[A-Za-z0-9]{36})\b/gd },
+  { id: "pypi-token", title: "PyPI API token", re: /\b(pypi-AgEIcHlwaS5vcmc[A-Za-z0-9_-]{50,})\b/gd },
+  { id: "sendgrid-key", title: "SendGrid API key", re: /\b(SG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43})\b/gd },
+  { id: "twilio-key", title: "Twilio API key", re: /\b(SK[0-9a-fA-F]{32})\b/gd },
+  { id: "mailgun-key", title: "Mailgun API key", re: /\b(key-[0-9a-f]{32})\b/gd },
+  { id: "shopify-token", title: "Shopify access token", re: /\b(shp(?:at|ca|pa|ss)_[a-fA-F0-9]{32})\b/gd },
+  { id: "digitalocean-token", title: "DigitalOcean token", re: /\b(do[opr]_v1_[a-f0-9]{64})\b/gd },
+  { id: "telegram-bot-token", title: "Telegram bot token", re: /\b(\d{8,10}:AA[A-Za-z0-9_-]{33})\b/gd },
+  { id: "azure-storage-key", title: "Azure storage account key", re: /AccountKey=([A-Za-z0-9+/=]{60,})/gd },
+  { id: "jwt", title: "JSON Web Token", re: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})\b/gd },
+  { id: "connection-string-password", title: "Password in a connection string", re: /\b[a-z][a-z0-9+.-]{1,20}:\/\/[^\s:@/'"`]+:([^\s@/'"`]{3,})@[^\s'"`]+/gdi },
+  { id: "bearer-token", title: "Bearer token", re: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/gd },
+  { id: "hardcoded-credential", title: "Hard-coded credential", re: new RegExp(String.raw`${KEYWORD}["']?\s*[:=]\s*["'\`]([^"'\`\s]{8,})["'\`]`, "gdi") },
+  { id: "hardcoded-credential", title: "Hard-coded credential", bare: true, re: new RegExp(String.raw`^[+\- ]?(?:\s*\d+\| )?\s*(?:export\s+)?[A-Za-z0-9_]*${KEYWORD}[A-Za-z0-9_]*\s*[:=]\s*([^\s"'#()]{8,}?)[,;]?\s*$`, "gdim") }
+];
+
+const ENTROPY_RULE = { id: "high-entropy-string", title: "High-entropy string (possible secret)" };
+const STRING_LITERAL_RE = /["'`]([A-Za-z0-9+/=_.-]{24,})["'`]/gd;
+const MIN_ENTROPY = 4.0;
+const BARE_MIN_ENTROPY = 3.0;
+
+/** values that are clearly not real secrets */
+const PLACEHOLDER_RE = /example|dummy|placeholder|sample|fake|changeme|redacted|your[_-]|x{4,}|\*{3,}|^<.*>$|\$\{|\{\{|^\$[A-Z_]|%[sd]|^(?:process\.env|os\.environ|env|secrets|config|settings|vars)\b/i;
+const IDENTIFIER_RE = /^[A-Za-z_.]+$/;
+const NAME_RE = /^[A-Za-z_$][\w$]*$/;
+const MEMBER_EXPRESSION_RE = /^[A-Za-z_$][\w$]*(?:\??\.[A-Za-z_$][\w$]*|\[[^\]]*\])+$/;
+
+/** test fixtures are expected to hold fake credentials: no findings there (values are still redacted) */
+export const DEFAULT_SECRET_ALLOW_PATHS = [
+  "**/test/**", "**/tests/**", "**/__tests__/**", "**/__fixtures__/**", "**/fixtures/**", "**/testdata/**",
+  "**/*.{test,spec}.*"
+];
+
+export const SECRET_RULE_DESCRIPTORS = [...new Map([...SECRET_RULES, ENTROPY_RULE].map(r => [r.id, {
+  id: `secret-${r.id}`,
+  severity: "high",
+  msg: `${r.title}: secrets must not be committed (value redacted before model review)`
+}])).values()];
+
+export function shannonEntropy(s) {
+  const counts = new Map();
+  for (const ch of s) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let h = 0;
+  for (const n of counts.values()) { const p = n / s.length; h -= p * Math.log2(p); }
+  return h;
+}
+
+function looksRandom(v) {
+  if (!/\d/.test(v) || !/[A-Za-z]/.test(v)) return false;
+  if (/^[0-9a-f]+$/.test(v)) return false; // lowercase hex: hashes, commit SHAs, ids
+  if (/^[A-Za-z]?[a-z]+(?:[A-Z_-]?[a-z]+)*[\d_-]*$/.test(v)) return false; // camelCase / snake_case names
+  if (/^sha(?:1|256|384|512)-/.test(v)) return false; // subresource integrity
+  if (/^[\w.-]+\.[a-z]{2,4}$/i.test(v) || /^[\w-]+(?:\/[\w.-]+)+$/.test(v)) return false; // file names, paths
+  return shannonEntropy(v) >= MIN_ENTROPY;
+}
+
+/**
+ * An unquoted credential value: member expressions (`cfg.apiKey`, `req.body.password`) are
+ * code, identifiers count only when they look random like a token, anything else needs letters
+ * and some entropy (`S3cr3t!pass`, not `12345678`).
+ */
+function bareCredential(v) {
+  if (MEMBER_EXPRESSION_RE.test(v)) return false;
+  if (NAME_RE.test(v)) return looksRandom(v);
+  return /[A-Za-z]/.test(v) && shannonEntropy(v) >= BARE_MIN_ENTROPY;
+}
+
+/**
+ * Non-overlapping secret spans in `text`.
+ * @returns {Array<{ ruleId: string, title: string, start: number, end: number, value: string }>}
+ */
+export function findSecrets(text) {
+  const hits = [];
+  const free = (start, end) => !hits.some(h => start < h.end && h.start < end);
+  const add = (rule, m) => {
+    const [start, end] = m.indices[1] || m.indices[0];
+    const value = m[1] ?? m[0];
+    if (PLACEHOLDER_RE.test(value) || (rule.id === "hardcoded-credential" && IDENTIFIER_RE.test(value))) return;
+    if (rule.bare && !bareCredential(value)) return;
+    if (free(start, end)) hits.push({ ruleId: `secret-${rule.id}`, title: rule.title, start, end, value });
+  };
+  for (const rule of SECRET_RULES) {
+    for (const m of text.matchAll(rule.re)) add(rule, m);
+  }
+  for (const m of text.matchAll(STRING_LITERAL_RE)) {
+    if (looksRandom(m[1])) add(ENTROPY_RULE, m);
+  }
+  return hits.sort((a, b) => a.start - b.start);
+}
+
+export function redact(s) {
+  const text = String(s ?? "");
+  let out = "";
+  let at = 0;
+  for (const h of findSecrets(text)) {
+    out += text.slice(at, h.start) + `[REDACTED:${h.ruleId.replace(/^secret-/, "")}]`;
+    at = h.end;
+  }
+  return out + text.slice(at);
+}
+
+export const secretFingerprint = (ruleId, value) =>
+  crypto.createHash("sha256").update(`${ruleId}\u0000${value}`).digest("hex").slice(0, 16);
+
+/**
+ * One finding per secret on the given lines ([lineNumber, code] pairs).
+ * @param {{ allowPaths?: string[], allowFingerprints?: string[] }} allow
+ */
+export function scanSecrets(file, numberedLines, { allowPaths = DEFAULT_SECRET_ALLOW_PATHS, allowFingerprints = [] } = {}) {
+  if (matchesAny(file, allowPaths)) return [];
+  const allowed = new Set(allowFingerprints);
+  const findings = [];
+  for (const [line, code] of numberedLines) {
+    for (const h of findSecrets(code)) {
+      const fp = secretFingerprint(h.ruleId, h.value);
+      if (allowed.has(fp)) continue;
+      findings.push({
+        file,
+        line,
+        column: h.start + 1,
+        severity: "high",
+        ruleId: h.ruleId,
+        comment: `${h.title} committed in source (secret fingerprint ${fp}; the value was redacted before model review). ` +
+          "Rotate it if it is real and load it from a secret store or environment variable.",
+        secretFingerprint: fp
+      });
+    }
+  }
+  return findings;
+}
@@ -0,0 +1,108 @@
+/**
+ * static-rules.mjs
+ *
+ * Static checks (no model involved), for PR patches and full-repo files.
+ * - JS/TS/JSX → real AST rules (ast-rules.mjs) with exact line/column ranges
+ * - GitHub Actions workflows → parsed-YAML checks (workflow-rules.mjs)
+ * - other languages, or sources that fail to parse → cheap per-line heuristics
+ * - the rules of the file's language profile (profiles.mjs), e.g. SQL, shell, workflow YAML
+ * - rule-pack `pattern`s (rule-packs.mjs) → per-line checks on every matching file
+ * - committed secrets (secrets.mjs) → one finding per secret, on every file
+ * - prompt-injection text (injection.mjs) → one finding per line that addresses an AI reviewer
+ */
+
+import fs from "fs";
+import path from "path";
+import { AST_RULES, isAstFile, runAstRules } from "./ast-rules.mjs";
+import { runPackPatterns } from "./rule-packs.mjs";
+import { PROFILE_RULES, runProfileRules } from "./profiles.mjs";
+import { WORKFLOW_RULES, analyzeWorkflow, isWorkflowFile } from "./workflow-rules.mjs";
+import { addedLines } from "./diff.mjs";
+import { SECRET_RULE_DESCRIPTORS, scanSecrets } from "./secrets.mjs";
+import { ESCALATION_RULE, INJECTION_RULE, scanInjection } from "./injection.mjs";
+
+// Line heuristics for files the AST engine can't handle
+const LINE_RULES = [
+  { id: "no-eval", re: /\beval\s*\(/, severity: "high", msg: "Avoid eval()" },
+  { id: "weak-crypto", re: /\b(md5|sha1)\b/i, severity: "medium", msg: "Weak cryptography detected" },
+];
+
+/** rule descriptors for reports (SARIF) */
+export const STATIC_RULES = [...AST_RULES, ...WORKFLOW_RULES, ...PROFILE_RULES, ...SECRET_RULE_DESCRIPTORS, INJECTION_RULE, ESCALATION_RULE];
+
+function readFromDisk(file) {
+  try { return fs.readFileSync(path.join(process.cwd(), file), "utf8"); } catch { return null; }
+}
+
+function lineRuleFindings(filename, numberedLines) {
+  const findings = [];
+  for (const [line, code] of numberedLines) {
+    for (const r of LINE_RULES) {
+      if (r.re.test(code)) {
+        findings.push({ file: filename, line, severity: r.severity, ruleId: r.id, comment: `${r.msg} (rule: ${r.id})` });
+      }
+    }
+  }
+  return findings;
+}
+
+function astFindings(filename, src) {
+  const { findings, error } = runAstRules(filename, src);
+  if (error) console.warn(`⚠️ Could not parse ${filename} for static checks (${error}); using line heuristics.`);
+  return error ? null : findings;
+}
+
+function workflowFindings(filename, src) {
+  const { findings, error } = analyzeWorkflow(filename, src);
+  if (error) console.warn(`⚠️ Could not analyze workflow ${filename} (${error}); using line heuristics.`);
+  return error ? null : findings;
+}
+
+/** whole-file analyzer for `filename`, if it has one */
+const parsedChecks = (filename) => isAstFile(filename) ? astFindings : isWorkflowFile(filename) ? workflowFindings : null;
+
+/** Static findings for a whole file (full-repo mode). */
+export function runStaticChecksOnFile(filename, src, { packRules = [], secrets } = {}) {
+  const numbered = src.split("\n").map((code, i) => [i + 1, code]);
+  const packFindings = [
+    ...runProfileRules(filename, numbered, src),
+    ...runPackPatterns(packRules, filename, numbered), ...scanSecrets(filename, numbered, secrets), ...scanInjection(filename, numbered)
+  ];
+  const analyze = parsedChecks(filename);
+  if (analyze) {
+    const f = analyze(filename, src);
+    if (f) return [...f, ...packFindings];
+  }
+  return [...lineRuleFindings(filename, numbered), ...packFindings];
+}
+
+/**
+ * Static findings for a PR patch: only findings whose range touches an added line.
+ * JS/TS files and workflows are parsed from the checked-out head revision (`readSource`).
+ */
+export function runStaticChecksOnPatch(filename, patch, { readSource = readFromDisk, packRules = [], secrets } = {}) {
+  const numbered = addedLines(patch);
+  if (!numbered.length) return [];
+  const added = new Set(numbered.map(([line]) => line));
+  const packFindings = [
+    // whole-file profile checks only when the patch touches the top of the file (e.g. a new script)
+    ...runProfileRules(filename, numbered, added.has(1) ? readSource(filename) : null),
+    ...runPackPatterns(packRules, filename, numbered), ...scanSecrets(filename, numbered, secrets), ...scanInjection(filename, numbered)
+  ];
+
+  const analyze = parsedChecks(filename);
+  if (analyze) {
+    const src = readSource(filename);
+    const f = src != null ? analyze(filename, src) : null;
+    if (f) {
+      const touched = f.filter(x => {
+        for (let l = x.line; l <= (x.endLine ?? x.line); l++) if (added.has(l)) return true;
+        return false;
+      });
+      return [...touched, ...packFindings];
+    }
+  }
+
+  // Fallback: only the added lines are known
+  return [...lineRuleFindings(filename, numbered), ...packFindings];
+}
@@ -0,0 +1,221 @@
+/**
+ * workflow-rules.mjs
+ *
+ * Deterministic checks for GitHub Actions workflows (.github/workflows/*.yml) and composite
+ * actions (action.yml), on the parsed YAML (`yaml` package) with exact source lines:
+ * - script injection: untrusted `${{ github.event.* }}` / `github.head_ref` expanded in `run:` or github-script
+ * - untrusted checkout: pull_request_target / workflow_run jobs that check out the PR's head
+ * - permissions: none set (default token scopes), `write-all`, workflow-wide write scopes
+ * - unpinned actions (tag / branch instead of a commit SHA) and unversioned package installs
+ * - secrets: reachable from checked-out fork code, or expanded into script text
+ */
+
+import { createRequire } from "module";
+import { matchesAny } from "./glob.mjs";
+
+export const WORKFLOW_GLOBS = [".github/workflows/*.{yml,yaml}", "action.{yml,yaml}"];
+
+export const WORKFLOW_RULES = [
+  { id: "gha-script-injection", severity: "high", msg: "Untrusted event data expanded into a script (script injection); pass it through env: and quote it" },
+  { id: "gha-untrusted-checkout", severity: "high", msg: "Privileged workflow (pull_request_target / workflow_run) checks out the pull request's code" },
+  { id: "gha-missing-permissions", severity: "medium", msg: "No `permissions:` for the job: the GITHUB_TOKEN gets the repository's default scopes" },
+  { id: "gha-broad-permissions", severity: "high", msg: "Over-broad GITHUB_TOKEN permissions" },
+  { id: "gha-unpinned-action", severity: "medium", msg: "Action referenced by tag or branch; pin it to a full commit SHA" },
+  { id: "gha-unpinned-install", severity: "medium", msg: "Package installed without a version; every run takes the latest release" },
+  { id: "gha-secret-exposure", severity: "high", msg: "Secret exposed to untrusted code or to the script text" }
+];
+
+const RULES = Object.fromEntries(WORKFLOW_RULES.map(r => [r.id, r]));
+
+/** events whose workflows run with a write token and secrets, even for fork pull requests */
+const PRIVILEGED_EVENTS = new Set(["pull_request_target", "workflow_run", "issue_comment"]);
+const GITHUB_OWNERS = new Set(["actions", "github"]);
+/** github.event fields no outside contributor controls */
+const SAFE_EVENT_FIELDS = new Set(["number", "id", "node_id", "sha", "before", "after", "action", "draft", "merged",
+  "created_at", "updated_at", "closed_at", "run_id", "run_number", "run_attempt", "forced", "private", "fork", "size"]);
+
+const EXPRESSION_RE = /\$\{\{([\s\S]*?)\}\}/g;
+const UNTRUSTED_REF_RE = /\bgithub\.(?:event(?:\.[\w-]+|\[[^\]]*\]|\.\*)+|head_ref)/g;
+const PR_HEAD_RE = /github\.(?:event\.(?:pull_request\.head|workflow_run\.head_(?:sha|branch|repository))|head_ref)|refs\/pull\//;
+const SHA_RE = /^[0-9a-f]{40}$/;
+const INSTALL_RE = /\b(?:npm\s+(?:install|i|add)|yarn\s+(?:global\s+)?add|pnpm\s+(?:add|install)|pip3?\s+install)\b([^;&|\n#]*)/g;
+
+let YAML;
+function loadYaml() {
+  if (!YAML) {
+    try {
+      YAML = createRequire(import.meta.url)("yaml");
+    } catch {
+      throw new Error(`workflow checks need the "yaml" package (npm install yaml)`);
+    }
+  }
+  return YAML;
+}
+
+export const isWorkflowFile = (file) => matchesAny(file, WORKFLOW_GLOBS);
+
+/** untrusted references in an expression body, e.g. "github.event.issue.title" */
+function untrustedRefs(expr) {
+  return [...expr.matchAll(UNTRUSTED_REF_RE)].map(m => m[0])
+    .filter(ref => ref === "github.head_ref" || !SAFE_EVENT_FIELDS.has(ref.split(".").pop()));
+}
+
+/** "pkg" tokens of an install command that carry no version */
+function unversioned(args, pip) {
+  return args.replace(/\s\d*[<>].*$/, "").trim().split(/\s+/)
+    .filter(t => t && !/^[-.~/$]|:\/\/|\.(?:txt|tgz|whl)$/.test(t))
+    .filter(t => pip ? !/[=<>~!]=?|@/.test(t) : !/^(?:@[^/@\s]+\/)?[^@\s]+@\S+$/.test(t));
+}
+
+function triggerNames(on) {
+  if (!on) return [];
+  if (typeof on === "string") return [on];
+  if (Array.isArray(on)) return on.map(String);
+  return Object.keys(on);
+}
+
+/**
+ * Analyze one workflow or composite action.
+ * @returns {{ findings: object[], error: string|null }} error when the file can't be parsed
+ */
+export function analyzeWorkflow(file, src) {
+  let Y;
+  try { Y = loadYaml(); } catch (e) { return { findings: [], error: e.message }; }
+  const lc = new Y.LineCounter();
+  const doc = Y.parseDocument(src, { lineCounter: lc });
+  if (doc.errors.length) return { findings: [], error: doc.errors[0].message.split("\n")[0] };
+  if (!Y.isMap(doc.contents)) return { findings: [], error: null };
+
+  const findings = [];
+  const seen = new Set();
+  const lineAt = (offset) => lc.linePos(offset).line;
+  const add = (id, node, comment, { severity, offset } = {}) => {
+    const line = lineAt(offset ?? node?.range?.[0] ?? 0);
+    const key = `${id}|${line}|${comment}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const r = RULES[id];
+    findings.push({ file, line, severity: severity || r.severity, ruleId: id, comment: `${comment} (rule: ${id})` });
+  };
+  const scalar = (node) => Y.isScalar(node) ? String(node.value ?? "") : null;
+
+  /** matches of `re` in a scalar's source text, with their offsets */
+  function* sourceMatches(node, re) {
+    const [start, end] = node.range;
+    const raw = src.slice(start, end);
+    for (const m of raw.matchAll(re)) yield { m, offset: start + m.index };
+  }
+
+  const root = doc.contents;
+  const composite = !root.has("jobs") && Y.isMap(root.get("runs"));
+  const triggers = new Set(triggerNames(doc.toJS().on));
+  const privileged = [...triggers].filter(t => PRIVILEGED_EVENTS.has(t));
+
+  // -------------------- permissions --------------------
+  function checkPermissions(node, where) {
+    if (scalar(node) === "write-all") {
+      add("gha-broad-permissions", node, `\`permissions: write-all\` (${where}) grants every scope; list only the scopes needed`);
+    }
+  }
+  const jobs = composite ? null : root.get("jobs");
+  const jobEntries = Y.isMap(jobs) ? jobs.items.filter(p => Y.isMap(p.value)) : [];
+  if (!composite) {
+    const top = root.get("permissions", true);
+    checkPermissions(top, "workflow");
+    const writes = Y.isMap(top) ? top.items.filter(p => scalar(p.value) === "write") : [];
+    if (writes.length) {
+      const scopes = writes.map(p => `${p.key.value}: write`).join(", ");
+      add("gha-broad-permissions", writes[0].key,
+        privileged.length
+          ? `Workflow-wide \`${scopes}\` on a ${privileged.join(" / ")} workflow, which runs for outside contributors; grant write scopes only to the job that needs them`
+          : `Workflow-wide \`${scopes}\` applies to every job, including jobs added later; grant write scopes only to the job that needs them`,
+        { severity: privileged.length ? "high" : "low" });
+    }
+    for (const { key, value: job } of jobEntries) {
+      const own = job.get("permissions", true);
+      checkPermissions(own, `job ${key.value}`);
+      if (!top && !own && !job.has("uses")) {
+        add("gha-missing-permissions", key, `Job \`${key.value}\` sets no \`permissions:\` (nor does the workflow): its GITHUB_TOKEN gets the repository's default scopes, possibly write access to everything`);
+      }
+    }
+  }
+
+  // -------------------- actions --------------------
+  function checkUses(node) {
+    const ref = scalar(node);
+    if (!ref || ref.startsWith("./")) return;
+    if (ref.startsWith("docker://")) {
+      if (!ref.includes("@sha256:")) add("gha-unpinned-action", node, `Container \`${ref}\` is referenced by tag; pin it by digest (@sha256:…)`);
+      return;
+    }
+    const [name, version = ""] = ref.split("@");
+    if (SHA_RE.test(version)) return;
+    const owner = name.split("/")[0].toLowerCase();
+    add("gha-unpinned-action", node,
+      `\`${ref}\` is referenced by ${version ? "a tag or branch" : "its default branch"}, which can be moved; pin it to a full commit SHA (keep the tag in a comment)`,
+      { severity: GITHUB_OWNERS.has(owner) ? "low" : "medium" });
+  }
+
+  // -------------------- scripts --------------------
+  function checkScript(node, label) {
+    if (!Y.isScalar(node) || typeof node.value !== "string") return;
+    for (const { m, offset } of sourceMatches(node, EXPRESSION_RE)) {
+      for (const ref of untrustedRefs(m[1])) {
+        add("gha-script-injection", node, `\`\${{ ${ref} }}\` is expanded into the ${label} before it runs, so its content can inject commands; pass it through \`env:\` and use the quoted variable instead`, { offset });
+      }
+      if (/\bsecrets\./.test(m[1])) {
+        add("gha-secret-exposure", node, `\`\${{ ${m[1].trim()} }}\` is written into the ${label} (visible in the process list, leaked by \`set -x\`); pass it through \`env:\``, { offset, severity: "medium" });
+      }
+    }
+    if (label !== "run script") return;
+    for (const { m, offset } of sourceMatches(node, INSTALL_RE)) {
+      const pip = m[0].startsWith("pip");
+      const pkgs = unversioned(m[1], pip);
+      if (pkgs.length) {
+        add("gha-unpinned-install", node, `\`${pkgs.join("`, `")}\` installed without a version: every run takes the latest release; pin one (e.g. \`${pkgs[0]}${pip ? "==" : "@"}1.2.3\`)`, { offset });
+      }
+    }
+  }
+
+  function checkSteps(steps, jobName) {
+    if (!Y.isSeq(steps)) return;
+    let checkedOutHead = null;
+    for (const step of steps.items) {
+      if (!Y.isMap(step)) continue;
+      const uses = step.get("uses", true);
+      const run = step.get("run", true);
+      checkUses(uses);
+      checkScript(run, "run script");
+      const withMap = step.get("with", true);
+      const action = (scalar(uses) || "").toLowerCase();
+      if (action.startsWith("actions/github-script@") && Y.isMap(withMap)) checkScript(withMap.get("script", true), "github-script source");
+
+      if (!privileged.length) continue;
+      // untrusted checkout: the PR's head in a job that holds a write token and secrets
+      const headRef = action.startsWith("actions/checkout@") && Y.isMap(withMap)
+        ? ["ref", "repository"].map(k => withMap.get(k, true)).find(n => PR_HEAD_RE.test(scalar(n) || ""))
+        : null;
+      const script = scalar(run) || "";
+      const headRun = /\b(?:git\s+(?:fetch|checkout|switch)|gh\s+pr\s+checkout)\b/.test(script) && PR_HEAD_RE.test(script) ? run : null;
+      const head = headRef || headRun;
+      if (head) {
+        add("gha-untrusted-checkout", head, `Job \`${jobName}\` runs on ${privileged.join(" / ")} with a write token and secrets, and checks out the pull request's code; build untrusted code in a \`pull_request\` workflow instead`);
+        checkedOutHead ??= head;
+      }
+      const secretAt = checkedOutHead ? src.slice(step.range[0], step.range[1]).search(/\$\{\{[^}]*\bsecrets\./) : -1;
+      if (secretAt >= 0) {
+        add("gha-secret-exposure", step, `Secrets are used in job \`${jobName}\` after it checked out the pull request's code, which can read them`, { offset: step.range[0] + secretAt });
+      }
+    }
+  }
+
+  if (composite) {
+    checkSteps(root.get("runs").get("steps", true), "(composite action)");
+  } else {
+    for (const { key, value: job } of jobEntries) {
+      checkUses(job.get("uses", true));
+      checkSteps(job.get("steps", true), key.value);
+    }
+  }
+  return { findings, error: null };
+}
@@ -0,0 +1,18 @@
+/**
+ * review.mjs
+ *
+ * Local CLI: review git changes before pushing, with the same pipeline as PR mode.
+ *   node .github/tools/review.mjs diff main..HEAD
+ *   node .github/tools/review.mjs staged --fail-on high
+ *   node .github/tools/review.mjs files src/App.jsx --format sarif --output review.sarif
+ *
+ * As a pre-commit hook (.git/hooks/pre-commit):
+ *   #!/bin/sh
+ *   exec node .github/tools/review.mjs staged --static-only --fail-on high
+ *
+ * Run with --help for all options; model settings come from the CI environment variables.
+ */
+
+import { runCli } from "./lib/cli.mjs";
+
+process.exitCode = await runCli(process.argv.slice(2), { toolName: "review-cli" });
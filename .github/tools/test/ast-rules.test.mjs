@@ -0,0 +1,123 @@
+/**
+ * ast-rules.test.mjs
+ *
+ * AST rules (ast-rules.mjs): for every rule, snippets it must flag and look-alikes it must not.
+ * Run: node --test .github/tools/test/*.test.mjs
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { AST_RULES, isAstFile, runAstRules } from "../lib/ast-rules.mjs";
+
+/** "line:ruleId" per finding, in report order */
+function check(file, src) {
+  const { findings, error } = runAstRules(file, src);
+  assert.equal(error, null);
+  return findings.map(f => `${f.line}:${f.ruleId}`);
+}
+
+/** [description, file, source, expected "line:ruleId" list] */
+const CASES = {
+  "react-inline-handler": [
+    ["arrow in onClick", "a.jsx", "const b = <button onClick={() => go(id)}>x</button>;", ["1:react-inline-handler"]],
+    ["function expression in onChange", "a.tsx", "<input onChange={function (e) { set(e.target.value); }} />;", ["1:react-inline-handler"]],
+    ["handler reference", "a.jsx", "const b = <button onClick={handleClick}>x</button>;", []],
+    ["function in a non-event prop", "a.jsx", "<List renderItem={(i) => i.name} />;", []]
+  ],
+  "effect-missing-cleanup": [
+    ["listener without cleanup", "a.jsx",
+      "useEffect(() => {\n  window.addEventListener(\"resize\", onResize);\n}, []);", ["1:effect-missing-cleanup"]],
+    ["interval in useLayoutEffect", "a.jsx", "React.useLayoutEffect(() => { setInterval(tick, 1000); });", ["1:effect-missing-cleanup"]],
+    ["cleanup returned", "a.jsx",
+      "useEffect(() => {\n  window.addEventListener(\"resize\", onResize);\n  return () => window.removeEventListener(\"resize\", onResize);\n}, []);", []],
+    ["expression body returns the unsubscribe handle", "a.jsx", "useEffect(() => store.subscribe(render), []);", []],
+    ["no subscription", "a.jsx", "useEffect(() => { document.title = title; }, [title]);", []]
+  ],
+  "jsx-missing-key": [
+    ["element without key", "a.jsx", "const l = items.map(i => <li>{i.name}</li>);", ["1:jsx-missing-key"]],
+    ["short fragment", "a.jsx", "const l = items.map(i => <>{i.name}</>);", ["1:jsx-missing-key"]],
+    ["returned from a block body", "a.jsx", "items.map((i) => {\n  return <Row item={i} />;\n});", ["2:jsx-missing-key"]],
+    ["element with key", "a.jsx", "const l = items.map(i => <li key={i.id}>{i.name}</li>);", []],
+    ["spread props may carry the key", "a.jsx", "const l = items.map(p => <Row {...p} />);", []],
+    ["map that returns no JSX", "a.jsx", "const ids = items.map(i => i.id);", []]
+  ],
+  "dangerouslySetInnerHTML": [
+    ["variable content", "a.jsx", "<div dangerouslySetInnerHTML={{ __html: html }} />;", ["1:dangerouslySetInnerHTML"]],
+    ["object from elsewhere", "a.jsx", "<div dangerouslySetInnerHTML={props.markup} />;", ["1:dangerouslySetInnerHTML"]],
+    ["string literal", "a.jsx", "<div dangerouslySetInnerHTML={{ __html: \"<b>static</b>\" }} />;", []],
+    ["sanitized", "a.jsx", "<div dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(html) }} />;", []]
+  ],
+  "no-eval": [
+    ["eval", "a.js", "const v = eval(input);", ["1:no-eval"]],
+    ["window.eval", "a.js", "window.eval(input);", ["1:no-eval"]],
+    ["Function constructor", "a.js", "const f = new Function(\"a\", body);\nconst g = Function(body);", ["1:no-eval", "2:no-eval"]],
+    ["string timers", "a.js", "setTimeout(\"tick()\", 10);\nsetInterval(`poll(${id})`, 500);", ["1:no-eval", "2:no-eval"]],
+    ["TypeScript cast", "a.ts", "const v = (eval as (s: string) => unknown)(input as string);", ["1:no-eval"]],
+    ["timer with a function", "a.js", "setTimeout(tick, 10);\nsetInterval(() => poll(id), 500);", []],
+    ["method named eval", "a.js", "const v = expr.eval(scope);\nconst evaluate = (x) => x;", []]
+  ],
+  "child-process-injection": [
+    ["exec with a template", "a.js", "import { exec } from \"child_process\";\nexec(`git log ${ref}`);", ["2:child-process-injection"]],
+    ["execSync with concatenation", "a.js", "const cp = require(\"node:child_process\");\ncp.execSync(\"rm -rf \" + dir);", ["2:child-process-injection"]],
+    ["renamed import", "a.mjs", "import { exec as run } from \"node:child_process\";\nrun(\"ls \" + dir);", ["2:child-process-injection"]],
+    ["spawn with shell: true", "a.js", "const { spawn } = require(\"child_process\");\nspawn(`ls ${dir}`, { shell: true });", ["2:child-process-injection"]],
+    ["argument array", "a.js", "import { execFile } from \"child_process\";\nexecFile(\"git\", [\"log\", ref]);", []],
+    ["constant command", "a.js", "import { exec } from \"child_process\";\nexec(\"git status\");\nexec(\"git \" + \"status\");", []],
+    ["spawn with shell: false", "a.js", "import { spawn } from \"child_process\";\nspawn(`ls ${dir}`, { shell: false });", []],
+    ["exec that is not child_process", "a.js", "db.exec(`select * from t where id = ${id}`);\nregex.exec(`${s}`);", []]
+  ],
+  "weak-crypto": [
+    ["md5", "a.js", "crypto.createHash(\"md5\").update(s);", ["1:weak-crypto"]],
+    ["sha1 HMAC", "a.js", "createHmac('SHA1', key);", ["1:weak-crypto"]],
+    ["sha256", "a.js", "crypto.createHash(\"sha256\").update(s);", []],
+    ["algorithm from a variable", "a.js", "crypto.createHash(algo);", []]
+  ],
+  "sync-io": [
+    ["fs namespace", "a.js", "import fs from \"fs\";\nconst s = fs.readFileSync(p, \"utf8\");", ["2:sync-io"]],
+    ["destructured require", "a.js", "const { writeFileSync } = require(\"node:fs\");\nwriteFileSync(p, data);", ["2:sync-io"]],
+    ["async fs", "a.js", "import fs from \"fs\";\nconst s = await fs.promises.readFile(p, \"utf8\");", []],
+    ["sync function not listed", "a.js", "import fs from \"fs\";\nif (fs.existsSync(p)) go();", []],
+    ["same name on another object", "a.js", "const s = vfs.readFileSync(p);\nconst t = readFileSync(p);", []]
+  ]
+};
+
+test("every rule has cases", () => {
+  assert.deepEqual(Object.keys(CASES).sort(), AST_RULES.map(r => r.id).sort());
+});
+
+for (const [rule, cases] of Object.entries(CASES)) {
+  for (const [name, file, src, expected] of cases) {
+    test(`${rule}: ${name}`, () => {
+      assert.deepEqual(check(file, src).filter(k => k.endsWith(`:${rule}`)), expected);
+    });
+  }
+}
+
+// -------------------- findings --------------------
+
+test("runAstRules: exact 1-based range, severity and rule in the comment", () => {
+  const { findings } = runAstRules("a.js", "function f() {\n  return eval(\n    code);\n}");
+  assert.equal(findings.length, 1);
+  const [f] = findings;
+  assert.deepEqual([f.file, f.line, f.column, f.endLine, f.endColumn], ["a.js", 2, 10, 3, 10]);
+  assert.equal(f.severity, "high");
+  assert.match(f.comment, /\(rule: no-eval\)$/);
+});
+
+test("runAstRules: detail messages for string timers, fragments and weak hashes", () => {
+  const comments = runAstRules("a.jsx", "setTimeout(\"x()\", 1);\nl.map(i => <>{i}</>);\ncreateHash(\"md5\");").findings.map(f => f.comment);
+  assert.match(comments[0], /^setTimeout\(\) with a string argument evaluates code/);
+  assert.match(comments[1], /^Short fragment `<>`/);
+  assert.match(comments[2], /^Weak hash algorithm "md5"/);
+});
+
+test("runAstRules: an unparseable file is an error, not a crash", () => {
+  const { findings, error } = runAstRules("a.js", "const = ;\n}}}");
+  assert.deepEqual(findings, []);
+  assert.equal(typeof error, "string");
+});
+
+test("isAstFile: JS and TS sources only", () => {
+  for (const f of ["a.js", "b.JSX", "c.mjs", "d.cjs", "e.ts", "f.tsx", "g.mts", "h.cts"]) assert.ok(isAstFile(f), f);
+  for (const f of ["a.json", "b.py", "c.d", "Makefile"]) assert.ok(!isAstFile(f), f);
+});
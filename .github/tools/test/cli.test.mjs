@@ -0,0 +1,120 @@
+/**
+ * cli.test.mjs
+ *
+ * Local CLI runs (cli.mjs) against a temporary git repository, static checks only.
+ * Run: node --test .github/tools/test/*.test.mjs
+ */
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { suppressedCount } from "../lib/baseline.mjs";
+import { runCli } from "../lib/cli.mjs";
+
+const repos = [];
+after(() => { for (const dir of repos) fs.rmSync(dir, { recursive: true, force: true }); });
+
+const git = (dir, ...args) => execFileSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+  { cwd: dir, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] });
+
+const BASE = ["export function run(a, b) {", "  return 0;", "}", ""];
+const HEAD = [
+  "export function run(a, b) {",
+  "  eval(a); // review-ignore: no-eval the caller passes a constant",
+  "  const c = b;",
+  "  eval(c);",
+  "  return 0;",
+  "}",
+  ""
+];
+// uncommitted: the inline ignore moved to the other call, lines shifted
+const WORKING = [
+  "// local edit",
+  "export function run(a, b) {",
+  "  eval(a);",
+  "  // review-ignore: no-eval",
+  "  const c = b;",
+  "  eval(c);",
+  "  return 0;",
+  "}",
+  ""
+];
+
+/** a repository with BASE and HEAD committed and WORKING in the working tree */
+function repo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "review-cli-"));
+  repos.push(dir);
+  const write = (lines) => fs.writeFileSync(path.join(dir, "app.js"), lines.join("\n"), "utf8");
+  git(dir, "init", "-q");
+  write(BASE);
+  git(dir, "add", "app.js");
+  git(dir, "commit", "-q", "-m", "base");
+  write(HEAD);
+  git(dir, "commit", "-q", "-am", "head");
+  write(WORKING);
+  return dir;
+}
+
+/**
+ * One CLI run in `dir` with a JSON report; progress output is captured.
+ * @returns {Promise<{ code: number, report: object, log: string }>}
+ */
+async function review(dir, args, env = {}) {
+  const out = path.join(dir, "report.json");
+  const lines = [];
+  const saved = { log: console.log, error: console.error, cwd: process.cwd() };
+  console.error = (...a) => lines.push(a.join(" "));
+  process.chdir(dir);
+  try {
+    const code = await runCli([...args, "--static-only", "--format", "json", "--output", out],
+      { env: { REVIEW_FAIL_ON: "high", REVIEW_NO_HISTORY: "1", ...env } });
+    assert.equal(console.log, saved.log, "console.log is restored");
+    assert.equal(process.cwd(), fs.realpathSync(dir), "cwd is restored");
+    return { code, report: JSON.parse(fs.readFileSync(out, "utf8")), log: lines.join("\n") };
+  } finally {
+    process.chdir(saved.cwd);
+    Object.assign(console, { log: saved.log, error: saved.error });
+  }
+}
+
+const at = (report) => report.findings.map(f => `${f.line}:${f.ruleId}`);
+
+test("diff base..head: inline ignores are read from the reviewed revision, not the working tree", async () => {
+  const { code, report, log } = await review(repo(), ["diff", "HEAD~1..HEAD"]);
+  assert.deepEqual(at(report), ["4:no-eval"], log);
+  assert.equal(suppressedCount(report.suppressed), 1);
+  assert.equal(code, 1);
+});
+
+test("diff base..head: baseline fingerprints are taken from the reviewed revision", async () => {
+  const dir = repo();
+  const env = { REVIEW_BASELINE_PATH: path.join(dir, "baseline.json") };
+
+  // baseline recorded with a clean working tree …
+  git(dir, "checkout", "-q", "--", "app.js");
+  const first = await review(dir, ["diff", "HEAD~1..HEAD"], { ...env, REVIEW_UPDATE_BASELINE: "1" });
+  assert.deepEqual(at(first.report), ["4:no-eval"], first.log);
+
+  // … still matches once the working tree around the finding has changed
+  fs.writeFileSync(path.join(dir, "app.js"), WORKING.join("\n"), "utf8");
+  const second = await review(dir, ["diff", "HEAD~1..HEAD"], env);
+  assert.deepEqual(at(second.report), [], second.log);
+  assert.equal(suppressedCount(second.report.suppressed), 2);
+  assert.equal(second.code, 0);
+});
+
+test("usage errors exit with 2", async () => {
+  const lines = [];
+  const saved = console.error;
+  console.error = (...a) => lines.push(a.join(" "));
+  try {
+    assert.equal(await runCli(["diff", "--format", "xml"]), 2);
+    assert.equal(await runCli([]), 2);
+  } finally {
+    console.error = saved;
+  }
+  assert.match(lines.join("\n"), /--format must be one of text, json, sarif/);
+});
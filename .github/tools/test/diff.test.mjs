@@ -0,0 +1,169 @@
+/**
+ * diff.test.mjs
+ *
+ * Patch parsing and inline-comment anchors against real unified diffs.
+ * Run: node --test .github/tools/test/*.test.mjs
+ *
+ * Each fixtures/diffs/<case>/ holds before.txt / after.txt (missing for an added / deleted file)
+ * and patch.diff: `git diff --no-index` of the two from the first "@@" on, which is the form
+ * /pulls/{n}/files returns.
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parsePatch, addedLines, anchorForRange, oldLinesFromPatch } from "../lib/diff.mjs";
+import { checkReviewShape, filterToBatch } from "../lib/findings-schema.mjs";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "diffs");
+
+function fixture(name) {
+  const read = (f) => {
+    const p = path.join(FIXTURES, name, f);
+    return fs.existsSync(p) ? fs.readFileSync(p, "utf8") : null;
+  };
+  // a trailing newline ends the last line; it does not start another one
+  const lines = (text) => text === null ? [] : text.replace(/\n$/, "").split("\n");
+  return { patch: read("patch.diff"), before: lines(read("before.txt")), after: lines(read("after.txt")) };
+}
+
+const CASES = fs.readdirSync(FIXTURES).sort();
+
+// -------------------- parsePatch --------------------
+
+for (const name of CASES) {
+  test(`parsePatch: ${name} line numbers match the files`, () => {
+    const { patch, before, after } = fixture(name);
+    const parsed = parsePatch(patch);
+    assert.ok(parsed.length > 0);
+    for (const l of parsed) {
+      if (l.oldLine !== null) assert.equal(l.text, before[l.oldLine - 1], `old line ${l.oldLine}`);
+      if (l.newLine !== null) assert.equal(l.text, after[l.newLine - 1], `new line ${l.newLine}`);
+    }
+  });
+}
+
+test("parsePatch: every hunk line is typed, nothing else is", () => {
+  const parsed = parsePatch(fixture("multi-hunk").patch);
+  const count = (type) => parsed.filter(l => l.type === type).length;
+  assert.deepEqual([count("add"), count("del"), count("context")], [3, 3, 15]);
+  assert.deepEqual([...new Set(parsed.map(l => l.hunk))], [0, 1, 2]);
+});
+
+test("parsePatch: \"No newline at end of file\" markers are not context", () => {
+  for (const name of ["no-newline-old", "no-newline-both"]) {
+    const parsed = parsePatch(fixture(name).patch);
+    assert.ok(parsed.every(l => !l.text.startsWith(" No newline")), name);
+  }
+  const both = parsePatch(fixture("no-newline-both").patch);
+  assert.deepEqual(both.map(l => [l.type, l.oldLine, l.newLine]), [
+    ["context", 1, 1], ["context", 2, 2], ["context", 3, 3], ["del", 4, null], ["add", null, 4]
+  ]);
+});
+
+test("parsePatch: blank context lines survive trailing-whitespace stripping", () => {
+  const { patch } = fixture("blank-context");
+  const stripped = patch.replace(/^ $/gm, "");
+  assert.notEqual(stripped, patch);
+  assert.deepEqual(parsePatch(stripped), parsePatch(patch));
+});
+
+test("parsePatch: CRLF patches parse like LF ones", () => {
+  const { patch } = fixture("multi-hunk");
+  assert.deepEqual(parsePatch(patch.replace(/\n/g, "\r\n")), parsePatch(patch));
+});
+
+test("oldLinesFromPatch: removed and context lines at their old line numbers", () => {
+  const lines = oldLinesFromPatch("@@ -3,3 +3,3 @@\n keep\n-check(user);\n+audit(user);\n rest\n@@ -9 +9 @@\n-end\n+done");
+  assert.equal(lines.length, 9);
+  assert.deepEqual([lines[2], lines[3], lines[4], lines[8]], ["keep", "check(user);", "rest", "end"]);
+  assert.ok(!(0 in lines) && !(5 in lines));
+});
+
+test("parsePatch: empty or missing patch", () => {
+  assert.deepEqual(parsePatch(""), []);
+  assert.deepEqual(parsePatch(undefined), []);
+});
+
+test("addedLines: new-file numbers and text", () => {
+  assert.deepEqual(addedLines(fixture("new-file").patch), [[1, "export const a = 1;"], [2, ""], [3, "export const b = 2;"]]);
+  assert.deepEqual(addedLines(fixture("deleted-file").patch), []);
+});
+
+// -------------------- anchorForRange --------------------
+
+test("anchorForRange: single added line", () => {
+  assert.deepEqual(anchorForRange(fixture("multi-hunk").patch, { start: 21 }), { line: 21, side: "RIGHT" });
+});
+
+test("anchorForRange: multi-line range on the new side", () => {
+  assert.deepEqual(anchorForRange(fixture("multi-hunk").patch, { start: 5, end: 6 }),
+    { line: 6, side: "RIGHT", start_line: 5, start_side: "RIGHT" });
+});
+
+test("anchorForRange: context lines can be commented on", () => {
+  assert.deepEqual(anchorForRange(fixture("multi-hunk").patch, { start: 9 }), { line: 9, side: "RIGHT" });
+});
+
+test("anchorForRange: removed lines anchor on the old side", () => {
+  const { patch } = fixture("multi-hunk");
+  assert.deepEqual(anchorForRange(patch, { start: 31, side: "LEFT" }), { line: 31, side: "LEFT" });
+  assert.deepEqual(anchorForRange(fixture("deleted-file").patch, { start: 1, end: 3, side: "LEFT" }),
+    { line: 3, side: "LEFT", start_line: 1, start_side: "LEFT" });
+  // the new file ends at line 31 (old line 30)
+  assert.deepEqual(anchorForRange(patch, { start: 31 }), { line: 31, side: "RIGHT" });
+  assert.equal(anchorForRange(patch, { start: 32 }), null);
+});
+
+test("anchorForRange: a range is narrowed to the diff lines of its first hunk", () => {
+  const { patch } = fixture("multi-hunk");
+  // 8..20: hunk one ends at 9, hunk two starts at 18
+  assert.deepEqual(anchorForRange(patch, { start: 8, end: 20 }), { line: 9, side: "RIGHT", start_line: 8, start_side: "RIGHT" });
+  // 12..19: only 18 and 19 are shown
+  assert.deepEqual(anchorForRange(patch, { start: 12, end: 19 }), { line: 19, side: "RIGHT", start_line: 18, start_side: "RIGHT" });
+});
+
+test("anchorForRange: lines outside the diff have no anchor", () => {
+  const { patch } = fixture("multi-hunk");
+  assert.equal(anchorForRange(patch, { start: 14 }), null);
+  assert.equal(anchorForRange(patch, { start: 12, end: 15 }), null);
+  assert.equal(anchorForRange(fixture("new-file").patch, { start: 1, side: "LEFT" }), null);
+});
+
+test("anchorForRange: the marker line after a no-newline change is not anchorable", () => {
+  const { patch } = fixture("no-newline-old");
+  assert.deepEqual(anchorForRange(patch, { start: 4 }), { line: 4, side: "RIGHT" });
+  assert.equal(anchorForRange(patch, { start: 5 }), null);
+  assert.deepEqual(anchorForRange(patch, { start: 3, side: "LEFT" }), { line: 3, side: "LEFT" });
+  assert.equal(anchorForRange(patch, { start: 4, side: "LEFT" }), null);
+});
+
+test("anchorForRange: accepts parsePatch output and a null end", () => {
+  const parsed = parsePatch(fixture("blank-context").patch);
+  assert.deepEqual(anchorForRange(parsed, { start: 10, end: null }), { line: 10, side: "RIGHT" });
+});
+
+// -------------------- finding shape --------------------
+
+const review = (...findings) => ({ summary: "", findings });
+const finding = (extra) => ({ file: "lib.js", line: 5, severity: "medium", comment: "x", ...extra });
+
+test("checkReviewShape: endLine and side are validated and normalized", () => {
+  const { errors, findings } = checkReviewShape(review(
+    finding({ endLine: 6, side: "RIGHT" }),
+    finding({ endLine: 5, side: "LEFT", edit: { startLine: 5, endLine: 5, replacement: "y" } }),
+    finding({ endLine: 4 }),
+    finding({ side: "BOTH" })
+  ));
+  assert.equal(errors.length, 2);
+  assert.deepEqual(findings.map(f => [f.endLine, f.side, f.edit]), [[6, undefined, undefined], [undefined, "LEFT", undefined]]);
+});
+
+test("filterToBatch: removed-line findings skip the end-of-file check", () => {
+  const lineCounts = new Map([["lib.js", 30]]);
+  const { findings, dropped } = filterToBatch([finding({ line: 31, side: "LEFT" }), finding({ line: 31 })], ["lib.js"], lineCounts);
+  assert.deepEqual(findings.map(f => f.side), ["LEFT"]);
+  assert.equal(dropped.beyondEof, 1);
+});
@@ -0,0 +1,250 @@
+/**
+ * e2e.test.mjs
+ *
+ * Whole review runs (PR mode and full-repo mode) against recorded fixtures, with no network.
+ * Run: node --test .github/tools/test/*.test.mjs
+ *
+ * fixtures/e2e/*.json are model and GitHub API answers in the format harness/record.mjs writes;
+ * harness/fixture-server.mjs replays them and keeps every request it gets. Each run works on a
+ * temporary copy of fixtures/e2e/workspace (the PR's head revision / the repository reviewed).
+ */
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { main } from "../lib/review-engine.mjs";
+import { loadFixture, startFixtureServer } from "./harness/fixture-server.mjs";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "e2e");
+
+const workspaces = [];
+after(() => { for (const dir of workspaces) fs.rmSync(dir, { recursive: true, force: true }); });
+
+/** a temporary copy of the workspace */
+function workspace() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "review-e2e-"));
+  fs.cpSync(path.join(FIXTURES, "workspace"), dir, { recursive: true });
+  workspaces.push(dir);
+  return dir;
+}
+
+/**
+ * One run of the reviewer in `dir`, replaying `fixture` (a file name or a fixture); console output is captured.
+ * @returns {Promise<{ code: number, requests: object[], unmatched: object[], log: string }>}
+ */
+async function review(dir, fixture, extraEnv = {}) {
+  const server = await startFixtureServer({ fixture: typeof fixture === "string" ? loadFixture(path.join(FIXTURES, fixture)) : fixture });
+  const env = {
+    OPENROUTER_API_KEY: "test-key",
+    REVIEW_MODEL: "test/review-model",
+    REVIEW_BASE_URL: server.routes.model,
+    GITHUB_API_URL: server.routes.github,
+    REVIEW_CONCURRENCY: "1",
+    REVIEW_FAIL_ON: "high",
+    REVIEW_NO_HISTORY: "1",
+    ...extraEnv
+  };
+  const lines = [];
+  const saved = { log: console.log, warn: console.warn, error: console.error, cwd: process.cwd() };
+  console.log = console.warn = console.error = (...args) => lines.push(args.join(" "));
+  process.chdir(dir);
+  try {
+    const code = await main({ defaultProvider: "openrouter", toolName: "openrouter-unified-review", env });
+    return { code, requests: server.requests, unmatched: server.unmatched, log: lines.join("\n") };
+  } finally {
+    process.chdir(saved.cwd);
+    Object.assign(console, { log: saved.log, warn: saved.warn, error: saved.error });
+    await server.close();
+  }
+}
+
+const PR_ENV = { GITHUB_TOKEN: "test-token", REPO: "octo/demo", PR_NUMBER: "7" };
+const find = (requests, method, suffix) => requests.filter(r => r.method === method && r.path.endsWith(suffix));
+
+// -------------------- PR mode --------------------
+
+test("PR mode: summary, check run, inline and file-level comments, quality gate", async () => {
+  const { code, requests, unmatched, log } = await review(workspace(), "pr-review.json", PR_ENV);
+  assert.deepEqual(unmatched, [], log);
+  assert.equal(code, 1, "two high static findings fail the gate");
+
+  // the model sees the patch, with the prompt of the file's profile; the binary file is left out
+  const [call] = find(requests, "POST", "/chat/completions");
+  const prompt = call.body.messages.map(m => m.content).join("\n");
+  assert.match(prompt, /a senior code reviewer for a React codebase/);
+  assert.match(prompt, /src\/api\.js/);
+  assert.doesNotMatch(prompt, /logo\.png/);
+  assert.equal(call.body.model, "test/review-model");
+
+  // summary comment: model findings, static findings, the gate, the suggested fix
+  const [comment] = find(requests, "POST", "/issues/7/comments");
+  const body = comment.body.body;
+  assert.match(body, /Quality gate: \*\*failed\*\*/);
+  for (const row of ["| MEDIUM | `src/api.js` | 10 |", "| MEDIUM | `src/api.js` | 24 |", "| HIGH | `src/api.js` | 5 |", "| HIGH | `src/api.js` | 28 |"]) {
+    assert.ok(body.includes(row), row);
+  }
+  assert.match(body, /rule: child-process-injection/);
+  assert.match(body, /rule: no-eval/);
+  assert.match(body, /<!-- openrouter-unified-review:summary -->/);
+
+  // check run on the head commit, one annotation per finding
+  const [check] = find(requests, "POST", "/check-runs");
+  assert.equal(check.body.head_sha, "6dcb09b5b57875f334f61aebed695e2e4193db5e");
+  assert.equal(check.body.conclusion, "failure");
+  assert.deepEqual(check.body.output.annotations.map(a => a.start_line).sort((a, b) => a - b), [5, 10, 24, 28]);
+
+  // review: inline comments on diff lines, with the fix as a suggestion
+  const [rev] = find(requests, "POST", "/pulls/7/reviews");
+  assert.equal(rev.body.event, "REQUEST_CHANGES");
+  assert.deepEqual(rev.body.comments.map(c => [c.path, c.line, c.side]).sort((a, b) => a[1] - b[1]),
+    [["src/api.js", 5, "RIGHT"], ["src/api.js", 10, "RIGHT"], ["src/api.js", 28, "RIGHT"]]);
+  const greet = rev.body.comments.find(c => c.line === 10);
+  assert.match(greet.body, /```suggestion\n {2}return "Hello " \+ \(user\?\.name \?\? "guest"\);\n```/);
+
+  // line 24 is outside the diff: a file-level comment instead
+  const [fileComment] = find(requests, "POST", "/pulls/7/comments");
+  assert.equal(fileComment.body.subject_type, "file");
+  assert.equal(fileComment.body.path, "src/api.js");
+  assert.match(fileComment.body.body, /^_Line 24 \(outside the diff\)\._/);
+});
+
+test("PR mode: a rejected API key is reported on the PR and fails the run", async () => {
+  const { code, requests, unmatched, log } = await review(workspace(), "pr-unauthorized.json", PR_ENV);
+  assert.deepEqual(unmatched, [], log);
+  assert.equal(code, 1);
+  const [comment] = find(requests, "POST", "/issues/7/comments");
+  assert.match(comment.body.body, /401 Unauthorized/);
+  assert.equal(find(requests, "POST", "/pulls/7/reviews").length, 0);
+});
+
+test("PR mode: missing settings are a configuration error, not a crash", async () => {
+  const { code, requests, log } = await review(workspace(), "pr-review.json", { ...PR_ENV, OPENROUTER_API_KEY: "" });
+  assert.equal(code, 1);
+  assert.equal(requests.length, 0);
+  assert.match(log, /OPENROUTER_API_KEY/);
+});
+
+test("PR mode: the PR's review config cannot choose the provider or endpoint", async () => {
+  const dir = workspace();
+  fs.mkdirSync(path.join(dir, ".github"));
+  fs.writeFileSync(path.join(dir, ".github/review.config.json"), JSON.stringify({ model: { provider: "openai-compatible", baseUrl: "https://collector.example/v1" } }));
+  const { code, requests, log } = await review(dir, "pr-review.json", { ...PR_ENV, REVIEW_BASE_URL: "" });
+  assert.equal(code, 1);
+  assert.equal(requests.length, 0);
+  assert.match(log, /model\.provider is not used for PR reviews.*set REVIEW_PROVIDER in the workflow/);
+  assert.match(log, /model\.baseUrl is not used for PR reviews.*set REVIEW_BASE_URL in the workflow/);
+
+  // the workflow's own settings win over the file, so its values are harmless there
+  const overridden = await review(dir, "pr-review.json", { ...PR_ENV, REVIEW_PROVIDER: "openrouter" });
+  assert.deepEqual(overridden.unmatched, [], overridden.log);
+  assert.doesNotMatch(overridden.log, /is not used for PR reviews/);
+});
+
+test("PR mode: triage on earlier comments is stored, suppresses false positives and feeds the prompt", async () => {
+  const dir = workspace();
+  // the PR's own copy of the committed store marks its eval finding as a false positive: not read
+  const storeFile = path.join(dir, ".github/REVIEW_RULES/feedback.json");
+  fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+  fs.writeFileSync(storeFile, JSON.stringify({ version: 1, findings: [
+    { fingerprint: "5da8173e662d939b96f4a1b0", verdict: "false-positive", file: "src/api.js", line: 28, ruleId: "no-eval", by: "contributor" }
+  ] }));
+  const { code, requests, unmatched, log } = await review(dir, "pr-feedback.json", PR_ENV);
+  assert.deepEqual(unmatched, [], log);
+  assert.equal(code, 1);
+
+  // only users with write access count: the read-only user's 👎 on the shell comment is ignored;
+  // the store is the base revision's (the PR #3 verdict) plus this PR's triage
+  const store = JSON.parse(fs.readFileSync(storeFile, "utf8"));
+  assert.deepEqual(store.findings.map(e => [e.line, e.ruleId, e.verdict, e.by, e.reason]), [
+    [4, "shell-unquoted-variable", "false-positive", "maintainer", "TARGET is a fixed directory name"],
+    [10, "general", "false-positive", "maintainer", "the router only calls greet() for signed-in users"],
+    [5, "child-process-injection", "confirmed", "maintainer", ""]
+  ]);
+
+  const [call] = find(requests, "POST", "/chat/completions");
+  const prompt = call.body.messages[1].content;
+  assert.match(prompt, /KNOWN FALSE POSITIVES/);
+  assert.ok(prompt.includes(`- src/api.js:10 [general] "greet() throws when user is undefined`), prompt);
+  assert.match(prompt, /team: "the router only calls greet\(\) for signed-in users"/);
+
+  // the model reports greet() again: suppressed, and its thread resolved
+  const body = find(requests, "PATCH", "/issues/comments/2214770310")[0].body.body;
+  assert.ok(!body.includes("| MEDIUM | `src/api.js` | 10 |"));
+  assert.match(body, /triaged as false positives: 1/);
+  assert.match(body, /Precision by rule/);
+  assert.ok(body.includes("| `child-process-injection` | 1 | 0 | 100% |"));
+  assert.ok(body.includes("| `general` | 0 | 1 | 0% |"));
+  const resolve = find(requests, "POST", "/graphql").find(r => r.body.query.startsWith("mutation"));
+  assert.equal(resolve.body.variables.id, "PRRT_kwDOKx1a9c5Bq3Xm");
+
+  // the confirmed thread is kept; only the eval finding gets a new inline comment, with its rule in the marker
+  const [rev] = find(requests, "POST", "/pulls/7/reviews");
+  assert.deepEqual(rev.body.comments.map(c => c.line), [28]);
+  assert.match(rev.body.comments[0].body, /:fp=[0-9a-f]+ rule=no-eval -->/);
+});
+
+// -------------------- full-repo mode --------------------
+
+test("full-repo mode: a push records the triage of the pull requests it merged", async () => {
+  const dir = workspace();
+  const sha = "9fceb02d0ae598e95dc970b74767f19372d61af8";
+  // PR #7's threads (the first GraphQL answer) and permissions from pr-feedback.json, after `sha` merged it
+  const pr = loadFixture(path.join(FIXTURES, "pr-feedback.json")).interactions;
+  const triage = [pr.find(i => i.path === "/graphql"), ...pr.filter(i => i.path.includes("/collaborators/"))];
+  const fixture = { interactions: [
+    { route: "github", method: "GET", path: `/repos/octo/demo/commits/${sha}/pulls?per_page=100`, status: 200, headers: {},
+      response: [{ number: 7, merged_at: "2026-10-02T09:14:00Z" }, { number: 5, merged_at: null }] },
+    ...triage,
+    ...loadFixture(path.join(FIXTURES, "full-repo.json")).interactions
+  ] };
+  const { requests, unmatched, log } = await review(dir, fixture, {
+    GITHUB_TOKEN: "test-token", REPO: "octo/demo", GITHUB_SHA: sha, REVIEW_FEEDBACK_PATH: ".review-feedback/feedback.json", REVIEW_NO_CACHE: "1"
+  });
+  assert.deepEqual(unmatched, [], log);
+  assert.equal(find(requests, "POST", "/graphql").length, 1);
+
+  const store = JSON.parse(fs.readFileSync(path.join(dir, ".review-feedback/feedback.json"), "utf8"));
+  assert.deepEqual(store.findings.map(e => [e.file, e.ruleId, e.verdict, e.pr]), [
+    ["src/api.js", "general", "false-positive", 7],
+    ["src/api.js", "child-process-injection", "confirmed", 7]
+  ]);
+});
+
+test("full-repo mode: per-profile batches, reports, cache", async () => {
+  const dir = workspace();
+  const summaryFile = path.join(dir, "step-summary.md");
+  const first = await review(dir, "full-repo.json", { GITHUB_STEP_SUMMARY: summaryFile });
+  assert.deepEqual(first.unmatched, [], first.log);
+  assert.equal(first.code, 1);
+
+  const prompts = first.requests.map(r => r.body.messages.map(m => m.content).join("\n"));
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[0], /The files in this batch are JavaScript \/ TypeScript \(React\)/);
+  assert.match(prompts[0], /src\/api\.js/);
+  assert.match(prompts[1], /The files in this batch are Shell scripts/);
+  assert.match(prompts[1], /scripts\/deploy\.sh/);
+
+  const report = JSON.parse(fs.readFileSync(path.join(dir, "codex_full_review.json"), "utf8"));
+  const keys = report.findings.map(f => `${f.file}:${f.line}:${f.ruleId}`).sort();
+  assert.deepEqual(keys, [
+    "scripts/deploy.sh:1:sh-errexit",
+    "scripts/deploy.sh:2:general",
+    "src/api.js:24:general",
+    "src/api.js:28:no-eval",
+    "src/api.js:5:child-process-injection"
+  ]);
+  assert.match(fs.readFileSync(path.join(dir, "codex_full_review.md"), "utf8"), /deploy\.sh/);
+  const sarif = JSON.parse(fs.readFileSync(path.join(dir, "codex_full_review.sarif"), "utf8"));
+  assert.equal(sarif.runs[0].results.length, 5);
+  assert.match(fs.readFileSync(summaryFile, "utf8"), /OpenRouter Full Repo Review/);
+
+  // unchanged files: the second run reuses the cached reviews
+  const second = await review(dir, "full-repo.json");
+  assert.equal(second.requests.length, 0);
+  assert.equal(second.code, 1);
+  const again = JSON.parse(fs.readFileSync(path.join(dir, "codex_full_review.json"), "utf8"));
+  assert.deepEqual(again.findings.map(f => `${f.file}:${f.line}:${f.ruleId}`).sort(), keys);
+});
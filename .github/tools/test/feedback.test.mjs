@@ -0,0 +1,96 @@
+/**
+ * feedback.test.mjs
+ *
+ * Triage verdicts, the feedback store and precision stats (feedback.mjs).
+ * Run: node --test .github/tools/test/*.test.mjs
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  applyTriage, falsePositiveExamples, falsePositives, loadFeedback, mergeFeedback, precisionByRule, saveFeedback, threadVerdict
+} from "../lib/feedback.mjs";
+
+const thread = ({ reactions = [], replies = [] } = {}) => ({ reactions, replies });
+const everyone = () => true;
+const item = (fingerprint, verdict, extra = {}) => ({
+  fingerprint,
+  thread: `T-${fingerprint}`,
+  finding: { file: "src/a.js", line: 3, ruleId: "no-eval", severity: "high", comment: "eval runs code" },
+  verdict,
+  ...extra
+});
+const fp = (by = "maintainer", reason = "") => ({ verdict: "false-positive", by, reason });
+
+test("threadVerdict: \"/review ignore\" and 👎 are false positives, 👍 confirms, the former win", () => {
+  assert.deepEqual(threadVerdict(thread({ replies: [{ login: "a", body: "Nope.\n/review ignore  input is validated upstream " }] }), everyone),
+    { verdict: "false-positive", by: "a", reason: "input is validated upstream" });
+  assert.deepEqual(threadVerdict(thread({ reactions: [{ content: "THUMBS_UP", login: "a" }, { content: "THUMBS_DOWN", login: "b" }] }), everyone),
+    { verdict: "false-positive", by: "b", reason: "" });
+  assert.deepEqual(threadVerdict(thread({ reactions: [{ content: "THUMBS_UP", login: "a" }, { content: "HEART", login: "b" }] }), everyone),
+    { verdict: "confirmed", by: "a", reason: "" });
+  assert.equal(threadVerdict(thread({ replies: [{ login: "a", body: "please /review ignore this" }] }), everyone), null);
+});
+
+test("threadVerdict: untrusted users are not counted", () => {
+  const t = thread({ reactions: [{ content: "THUMBS_DOWN", login: "author" }, { content: "THUMBS_UP", login: "lead" }],
+    replies: [{ login: "author", body: "/review ignore" }] });
+  assert.deepEqual(threadVerdict(t, (login) => login === "lead"), { verdict: "confirmed", by: "lead", reason: "" });
+  assert.equal(threadVerdict(t, () => false), null);
+});
+
+test("applyTriage: records, updates only on change, withdraws a verdict its own thread lost", () => {
+  const store = { path: "", entries: new Map() };
+  const now = new Date("2026-01-02T03:04:05Z");
+  assert.deepEqual(applyTriage(store, [item("aa", fp()), item("bb", null)], { pr: 4, now }), { recorded: 1, retracted: 0, changed: true });
+  assert.equal(store.entries.get("aa").at, "2026-01-02T03:04:05.000Z");
+  assert.equal(applyTriage(store, [item("aa", fp())], { pr: 4 }).changed, false);
+
+  // the same finding on another PR without feedback keeps the verdict; its own thread without it drops it
+  assert.equal(applyTriage(store, [item("aa", null, { thread: "other" })], { pr: 5 }).changed, false);
+  assert.deepEqual(applyTriage(store, [item("aa", null)], { pr: 4 }), { recorded: 0, retracted: 1, changed: true });
+  assert.equal(store.entries.size, 0);
+});
+
+test("store round trip, false-positive examples per file, precision by rule", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "review-feedback-")), "feedback.json");
+  const store = loadFeedback(file);
+  applyTriage(store, [
+    item("aa", fp("x", "validated upstream"), { finding: { file: "src/a.js", line: 3, ruleId: "no-eval", severity: "high", comment: "eval\nruns code" } }),
+    item("bb", { verdict: "confirmed", by: "x", reason: "" }),
+    item("cc", { verdict: "confirmed", by: "x", reason: "" }),
+    item("dd", fp(), { finding: { file: "src/b.js", line: 1, ruleId: null, severity: "low", comment: "naming" } })
+  ], { pr: 1 });
+  saveFeedback(store);
+  const loaded = loadFeedback(file);
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+
+  assert.deepEqual([...falsePositives(loaded)].sort(), ["aa", "dd"]);
+  assert.deepEqual(falsePositiveExamples(loaded, ["src/a.js"]).map(e => [e.fingerprint, e.comment, e.reason]),
+    [["aa", "eval runs code", "validated upstream"]]);
+  assert.deepEqual(falsePositiveExamples(loaded, ["src/c.js"]), []);
+  assert.deepEqual(precisionByRule(loaded), [
+    { ruleId: "no-eval", confirmed: 2, falsePositive: 1, precision: 2 / 3 },
+    { ruleId: "general", confirmed: 0, falsePositive: 1, precision: 0 }
+  ]);
+});
+
+test("loadFeedback from text, mergeFeedback keeps the store's own verdicts", () => {
+  const committed = loadFeedback("base.json", { text: JSON.stringify({ version: 1, findings: [
+    { fingerprint: "aa", verdict: "false-positive", file: "src/a.js", by: "lead" },
+    { fingerprint: "bb", verdict: "false-positive", file: "src/b.js", by: "lead" },
+    { fingerprint: "cc", verdict: "maybe", file: "src/c.js" }
+  ] }) });
+  assert.equal(committed.path, "base.json");
+  assert.deepEqual([...committed.entries.keys()], ["aa", "bb"]);
+  assert.equal(loadFeedback("missing.json", { text: null }).entries.size, 0);
+
+  const store = loadFeedback("run.json", { text: null });
+  applyTriage(store, [item("aa", { verdict: "confirmed", by: "x", reason: "" })], { pr: 2 });
+  assert.equal(mergeFeedback(store, committed), 1);
+  assert.deepEqual([...store.entries.values()].map(e => [e.fingerprint, e.verdict]), [["aa", "confirmed"], ["bb", "false-positive"]]);
+  assert.equal(store.path, "run.json");
+});
@@ -0,0 +1,3 @@
+#!/bin/sh
+cd "$1"
+cp build/* /srv/app/
@@ -0,0 +1,29 @@
+import { exec, execFile } from "child_process";
+
+export function runReport(name) {
+  return new Promise((resolve, reject) => {
+    exec(`report --user ${name}`, (err, out) => (err ? reject(err) : resolve(out)));
+  });
+}
+
+export function greet(user) {
+  return "Hello " + user.name;
+}
+
+export function formatDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+export function sum(values) {
+  let total = 0;
+  for (const v of values) total += v;
+  return total;
+}
+
+export function average(values) {
+  return sum(values) / values.length;
+}
+
+export function parseFilters(text) {
+  return eval("(" + text + ")");
+}
@@ -0,0 +1,112 @@
+/**
+ * git.test.mjs
+ *
+ * `git diff` output → per-file patches (git.mjs), including paths git prints C-quoted.
+ * Run: node --test .github/tools/test/*.test.mjs
+ */
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { diffFiles, parseGitDiff, unquotePath } from "../lib/git.mjs";
+
+const diff = (...lines) => lines.join("\n") + "\n";
+
+const PLAIN = diff(
+  "diff --git a/src/a.js b/src/a.js",
+  "index 1111111..2222222 100644",
+  "--- a/src/a.js",
+  "+++ b/src/a.js",
+  "@@ -1 +1 @@",
+  "-old",
+  "+new"
+);
+const QUOTED = diff(
+  "diff --git \"a/caf\\303\\251.js\" \"b/caf\\303\\251.js\"",
+  "index 3333333..4444444 100644",
+  "--- \"a/caf\\303\\251.js\"",
+  "+++ \"b/caf\\303\\251.js\"",
+  "@@ -1,2 +1,2 @@",
+  " keep",
+  "-eval(a)",
+  "+eval(b)"
+);
+
+// -------------------- unquotePath --------------------
+
+test("unquotePath: octal UTF-8 bytes and C escapes; bare paths unchanged", () => {
+  assert.equal(unquotePath("\"caf\\303\\251.js\""), "café.js");
+  assert.equal(unquotePath("\"say \\\"hi\\\"\\tnow\\\\.js\""), "say \"hi\"\tnow\\.js");
+  assert.equal(unquotePath("\"\\360\\237\\230\\200 x.md\""), "😀 x.md");
+  assert.equal(unquotePath("src/a b.js"), "src/a b.js");
+});
+
+// -------------------- parseGitDiff --------------------
+
+test("parseGitDiff: a quoted path alone in the diff", () => {
+  assert.deepEqual(parseGitDiff(QUOTED), [
+    { filename: "café.js", status: "modified", patch: "@@ -1,2 +1,2 @@\n keep\n-eval(a)\n+eval(b)" }
+  ]);
+});
+
+test("parseGitDiff: a quoted path after another file starts its own entry", () => {
+  const files = parseGitDiff(PLAIN + QUOTED);
+  assert.deepEqual(files.map(f => f.filename), ["src/a.js", "café.js"]);
+  assert.equal(files[0].patch, "@@ -1 +1 @@\n-old\n+new");
+  assert.ok(!files[0].patch.includes("caf"));
+});
+
+test("parseGitDiff: quoted paths on added, removed and renamed files", () => {
+  const files = parseGitDiff(diff(
+    "diff --git \"a/new \\\"one\\\".js\" \"b/new \\\"one\\\".js\"",
+    "new file mode 100644",
+    "--- /dev/null",
+    "+++ \"b/new \\\"one\\\".js\"\t",
+    "@@ -0,0 +1 @@",
+    "+x",
+    "diff --git \"a/gone\\tfile.js\" \"b/gone\\tfile.js\"",
+    "deleted file mode 100644",
+    "--- \"a/gone\\tfile.js\"\t",
+    "+++ /dev/null",
+    "@@ -1 +0,0 @@",
+    "-x",
+    "diff --git a/old.js \"b/r\\303\\251sum\\303\\251.js\"",
+    "similarity index 100%",
+    "rename from old.js",
+    "rename to \"r\\303\\251sum\\303\\251.js\""
+  ));
+  assert.deepEqual(files.map(f => [f.filename, f.status, !!f.patch]), [
+    ["new \"one\".js", "added", true],
+    ["gone\tfile.js", "removed", true],
+    ["résumé.js", "renamed", false]
+  ]);
+});
+
+test("parseGitDiff: unquoted paths with spaces", () => {
+  const [f] = parseGitDiff(PLAIN.replace(/src\/a\.js/g, "my dir/a b.js").replace(/^(---|\+\+\+) .*/gm, "$&\t"));
+  assert.equal(f.filename, "my dir/a b.js");
+});
+
+// -------------------- diffFiles --------------------
+
+const repos = [];
+after(() => { for (const dir of repos) fs.rmSync(dir, { recursive: true, force: true }); });
+
+test("diffFiles: non-ASCII and quote-needing paths from a real repository", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "review-git-"));
+  repos.push(dir);
+  const git = (...args) => execFileSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { cwd: dir, stdio: "ignore" });
+  const names = ["a.js", "café.js", "say \"hi\".js"];
+  git("init", "-q");
+  for (const n of names) fs.writeFileSync(path.join(dir, n), "one\n");
+  git("add", ".");
+  git("commit", "-q", "-m", "base");
+  for (const n of names) fs.writeFileSync(path.join(dir, n), "two\n");
+
+  const files = diffFiles("", { cwd: dir });
+  assert.deepEqual(files.map(f => f.filename).sort(), [...names].sort());
+  for (const f of files) assert.equal(f.patch, "@@ -1 +1 @@\n-one\n+two", f.filename);
+});
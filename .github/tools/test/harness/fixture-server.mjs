@@ -0,0 +1,135 @@
+/**
+ * fixture-server.mjs
+ *
+ * Local HTTP stub for the model and GitHub APIs, so whole review runs work offline.
+ * The reviewer is pointed at it through its own settings:
+ *   GITHUB_API_URL  = server.routes.github   (REST + /graphql)
+ *   REVIEW_BASE_URL = server.routes.model    (chat completions)
+ *
+ * - mode "replay": answers from a fixture's recorded interactions. Requests are matched by
+ *   route, method and path (query included) in recorded order; once a path's answers are used
+ *   up its last one repeats. Unknown requests get a 404 and land in `unmatched`.
+ * - mode "record": forwards every request to `upstreams[route]` and records the answer
+ *   (record.mjs). Request headers, and so tokens, are never stored.
+ * Every request received is kept in `requests` ({ route, method, path, body }) for assertions.
+ *
+ * Fixture: { description, interactions: [{ route, method, path, request, status, headers, response }] };
+ * `{base}` in a recorded `link` header stands for the route's URL on whichever server replays it.
+ * A hand-written interaction with `stall: true` sends its headers and the start of a body, then
+ * nothing more (timeouts); close() drops such connections.
+ */
+
+import fs from "fs";
+import http from "http";
+
+export const ROUTES = ["github", "model"];
+const KEPT_HEADERS = ["content-type", "link", "retry-after"];
+
+export function loadFixture(file) {
+  const j = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(j?.interactions)) throw new Error(`${file}: not a fixture (expected "interactions")`);
+  return j;
+}
+
+export function saveFixture(file, fixture) {
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + "\n", "utf8");
+}
+
+const parseBody = (text) => {
+  if (!text) return null;
+  try { return JSON.parse(text); } catch { return text; }
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    req.setEncoding("utf8");
+    req.on("data", c => { text += c; });
+    req.on("end", () => resolve(text));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, headers, body) {
+  const text = body == null ? "" : typeof body === "string" ? body : JSON.stringify(body);
+  res.writeHead(status, { "content-type": "application/json; charset=utf-8", ...headers });
+  res.end(text);
+}
+
+/** forward one request upstream → the interaction to record */
+async function forward(upstream, { route, method, path, headers, text }) {
+  const res = await fetch(`${upstream}${path}`, {
+    method,
+    headers: Object.fromEntries(Object.entries(headers).filter(([k]) => !["host", "connection", "content-length"].includes(k))),
+    ...(text ? { body: text } : {})
+  });
+  const kept = {};
+  for (const k of KEPT_HEADERS) {
+    const v = res.headers.get(k);
+    if (v) kept[k] = k === "link" ? v.split(upstream).join("{base}") : v;
+  }
+  return { route, method, path, request: parseBody(text), status: res.status, headers: kept, response: parseBody(await res.text()) };
+}
+
+/**
+ * @param {{ mode?: "replay"|"record", fixture?: object, upstreams?: { github?: string, model?: string } }} opts
+ * @returns {Promise<{ url: string, routes: { github: string, model: string }, requests: object[],
+ *   unmatched: object[], interactions: object[], close: () => Promise<void> }>}
+ *   `interactions`: what record mode captured, in order
+ */
+export async function startFixtureServer({ mode = "replay", fixture = { interactions: [] }, upstreams = {} } = {}) {
+  const requests = [];
+  const unmatched = [];
+  const interactions = [];
+  const queues = new Map();
+  for (const it of fixture.interactions) {
+    const key = `${it.route} ${it.method} ${it.path}`;
+    if (!queues.has(key)) queues.set(key, { items: [], next: 0 });
+    queues.get(key).items.push(it);
+  }
+
+  let url = "";
+  const server = http.createServer(async (req, res) => {
+    const m = /^\/([^/]+)(\/.*)?$/.exec(req.url);
+    const route = m?.[1];
+    const path = m?.[2] || "/";
+    const text = await readBody(req);
+    const call = { route, method: req.method, path, body: parseBody(text) };
+    requests.push(call);
+
+    if (!ROUTES.includes(route)) { unmatched.push(call); return send(res, 404, {}, { message: `unknown route "${route}"` }); }
+
+    if (mode === "record") {
+      try {
+        const it = await forward(String(upstreams[route]).replace(/\/$/, ""), { route, method: req.method, path, headers: req.headers, text });
+        interactions.push(it);
+        return send(res, it.status, it.headers, it.response);
+      } catch (e) {
+        return send(res, 502, {}, { message: `upstream ${route} failed: ${e.message}` });
+      }
+    }
+
+    const q = queues.get(`${route} ${req.method} ${path}`);
+    if (!q) { unmatched.push(call); return send(res, 404, {}, { message: `no fixture for ${req.method} ${path}` }); }
+    const it = q.items[Math.min(q.next++, q.items.length - 1)];
+    const headers = { ...it.headers };
+    if (headers.link) headers.link = headers.link.split("{base}").join(`${url}/${route}`);
+    if (it.stall) {
+      res.writeHead(it.status, { "content-type": "application/json; charset=utf-8", ...headers });
+      res.write("{");
+      return;
+    }
+    send(res, it.status, headers, it.response);
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    routes: Object.fromEntries(ROUTES.map(r => [r, `${url}/${r}`])),
+    requests,
+    unmatched,
+    interactions,
+    close: () => new Promise(resolve => { server.closeAllConnections?.(); server.close(() => resolve()); })
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * record.mjs
+ *
+ * Record a real review run into a fixture for test/e2e.test.mjs:
+ *   node .github/tools/test/harness/record.mjs <fixture.json> [--provider openrouter|openai-compatible]
+ *
+ * Runs the reviewer in-process with the usual environment (API key, and for PR mode GITHUB_TOKEN,
+ * REPO, PR_NUMBER), but through a recording fixture-server.mjs: every model and GitHub response
+ * is saved to <fixture.json>. A PR run really posts its comments and review, so record against
+ * a scratch pull request. Batches are reviewed one at a time so replays see the same order.
+ * Upstreams: GITHUB_API_URL (default api.github.com) and REVIEW_BASE_URL / OPENROUTER_BASE_URL.
+ */
+
+import { main } from "../../lib/review-engine.mjs";
+import { saveFixture, startFixtureServer } from "./fixture-server.mjs";
+
+const [file, ...rest] = process.argv.slice(2);
+if (!file) {
+  console.error("usage: node .github/tools/test/harness/record.mjs <fixture.json> [--provider openrouter|openai-compatible]");
+  process.exitCode = 2;
+} else {
+  const i = rest.indexOf("--provider");
+  const provider = i >= 0 ? rest[i + 1] : "openrouter";
+  const env = process.env;
+  const server = await startFixtureServer({
+    mode: "record",
+    upstreams: {
+      github: env.GITHUB_API_URL || "https://api.github.com",
+      model: env.REVIEW_BASE_URL || env.OPENROUTER_BASE_URL || (provider === "openrouter" ? "https://openrouter.ai/api/v1" : "")
+    }
+  });
+  let code;
+  try {
+    code = await main({
+      defaultProvider: provider,
+      toolName: "openrouter-unified-review",
+      env: {
+        ...env,
+        REVIEW_PROVIDER: provider,
+        GITHUB_API_URL: server.routes.github,
+        GITHUB_GRAPHQL_URL: `${server.routes.github}/graphql`,
+        REVIEW_BASE_URL: server.routes.model,
+        REVIEW_CONCURRENCY: "1"
+      }
+    });
+  } finally {
+    await server.close();
+  }
+  saveFixture(file, {
+    description: `${env.PR_NUMBER ? `PR #${env.PR_NUMBER} of ${env.REPO}` : "full-repo run"}, recorded ${new Date().toISOString()} (exit code ${code})`,
+    interactions: server.interactions
+  });
+  console.log(`🎞️ ${server.interactions.length} interaction(s) recorded to ${file}`);
+  process.exitCode = code;
+}
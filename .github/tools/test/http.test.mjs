@@ -0,0 +1,56 @@
+/**
+ * http.test.mjs
+ *
+ * fetchWithRetry (http.mjs) against the fixture server: the per-attempt timeout also covers
+ * a response body that stalls after its headers.
+ * Run: node --test .github/tools/test/*.test.mjs
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fetchWithRetry } from "../lib/http.mjs";
+import { startFixtureServer } from "./harness/fixture-server.mjs";
+
+const PATH = "/chat/completions";
+const OK = { route: "model", method: "POST", path: PATH, status: 200, headers: {}, response: { choices: [] } };
+const STALLED = { ...OK, stall: true };
+
+/** fetchWithRetry against answers in order; warnings are captured */
+async function post(answers, opts) {
+  const server = await startFixtureServer({ fixture: { interactions: answers } });
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...a) => warnings.push(a.join(" "));
+  try {
+    const res = await fetchWithRetry(`${server.routes.model}${PATH}`, { method: "POST", body: "{}" },
+      { timeoutMs: 200, baseDelayMs: 1, maxDelayMs: 1, label: "test", ...opts });
+    return { res, requests: server.requests.length, warnings };
+  } finally {
+    console.warn = warn;
+    await server.close();
+  }
+}
+
+test("fetchWithRetry: a body that stalls after the headers times out and is retried", async () => {
+  const started = Date.now();
+  const { res, requests, warnings } = await post([STALLED, OK], { retries: 2 });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { choices: [] });
+  assert.equal(requests, 2);
+  assert.match(warnings[0], /test request timed out after 200 ms; retry 1\/2/);
+  assert.ok(Date.now() - started < 5_000);
+});
+
+test("fetchWithRetry: a body that keeps stalling fails once retries run out", async () => {
+  await assert.rejects(post([STALLED], { retries: 1 }), /test request timed out after 200 ms/);
+});
+
+test("fetchWithRetry: the returned body is read already; empty-body statuses stay empty", async () => {
+  const { res } = await post([OK], { timeoutMs: 50 });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(await res.json(), { choices: [] });
+
+  const empty = await post([{ ...OK, status: 204, response: null }]);
+  assert.equal(empty.res.status, 204);
+  assert.equal(await empty.res.text(), "");
+});
@@ -0,0 +1,108 @@
+/**
+ * pr-review.test.mjs
+ *
+ * The PR review (pr-review.mjs publishReview) across pushes, against the fixture server:
+ * a review is only submitted again when its event changes; findings on removed code keep base-revision fingerprints.
+ * Run: node --test .github/tools/test/*.test.mjs
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { publishReview } from "../lib/pr-review.mjs";
+import { applySuppressions, fingerprintFinding } from "../lib/baseline.mjs";
+import { oldLinesFromPatch } from "../lib/diff.mjs";
+import { startFixtureServer } from "./harness/fixture-server.mjs";
+
+const TOOL = "test-review";
+const REVIEWS = "/repos/octo/demo/pulls/7/reviews";
+
+/**
+ * One publishReview run; `reviews` are the PR's reviews GitHub lists, `submits` the answers
+ * to POST …/reviews in order. Console output is captured.
+ */
+async function publish({ reviews = [], submits = [], findings = [], files = [], readLines = () => null, readBaseLines }) {
+  const server = await startFixtureServer({
+    fixture: {
+      interactions: [
+        { route: "github", method: "GET", path: `${REVIEWS}?per_page=100`, status: 200, headers: {}, response: reviews },
+        ...submits.map(([status, response]) => ({ route: "github", method: "POST", path: REVIEWS, status, headers: {}, response }))
+      ]
+    }
+  });
+  const ctx = {
+    toolName: TOOL,
+    cfg: {
+      label: "Test",
+      inline: { severities: ["high", "medium"], max: 20 },
+      github: { token: "test-token", owner: "octo", repo: "demo", apiUrl: server.routes.github, graphqlUrl: `${server.routes.github}/graphql` }
+    }
+  };
+  const lines = [];
+  const saved = { log: console.log, warn: console.warn };
+  console.log = console.warn = (...a) => lines.push(a.join(" "));
+  try {
+    const out = await publishReview(ctx, {
+      prNumber: 7, headSha: "6dcb09b", files, findings, gate: { enabled: false }, unreviewed: 0, readLines, readBaseLines, threads: []
+    });
+    const posted = server.requests.filter(r => r.method === "POST").map(r => r.body);
+    return { out, posted, unmatched: server.unmatched, log: lines.join("\n") };
+  } finally {
+    Object.assign(console, saved);
+    await server.close();
+  }
+}
+
+const HIGH = { file: "src/a.js", line: 3, severity: "high", comment: "eval of user input" };
+
+test("publishReview: a rejected APPROVE is posted once as COMMENT, later clean pushes post nothing", async () => {
+  // first clean run: the token may not approve (422), the review goes out as COMMENT
+  const first = await publish({ submits: [[422, { message: "GitHub Actions is not permitted to approve pull requests." }], [200, { id: 1, state: "COMMENTED" }]] });
+  assert.deepEqual(first.unmatched, []);
+  assert.deepEqual(first.posted.map(b => b.event), ["APPROVE", "COMMENT"]);
+  assert.match(first.posted[1].body, /<!-- test-review:review event=APPROVE -->/);
+  assert.equal(first.out.event, "APPROVE");
+
+  // next push, still clean: GitHub shows the review as COMMENTED, which is what APPROVE became
+  const previous = { id: 1, state: "COMMENTED", body: first.posted[1].body };
+  const second = await publish({ reviews: [previous] });
+  assert.deepEqual(second.posted, [], second.log);
+  assert.equal(second.out.event, null);
+  assert.match(second.log, /Review unchanged \(APPROVE\)/);
+
+  // a high finding changes the event: a new review
+  const third = await publish({ reviews: [previous], findings: [HIGH], submits: [[200, { id: 2, state: "CHANGES_REQUESTED" }]] });
+  assert.deepEqual(third.posted.map(b => b.event), ["REQUEST_CHANGES"]);
+  assert.match(third.posted[0].body, /event=REQUEST_CHANGES -->/);
+});
+
+test("publishReview: reviews with the older marker compare by state; dismissed reviews are replaced", async () => {
+  const approved = { id: 1, state: "APPROVED", body: `No findings.\n\n<!-- ${TOOL}:review -->` };
+  assert.deepEqual((await publish({ reviews: [approved] })).posted, []);
+
+  const commented = { ...approved, state: "COMMENTED" };
+  const again = await publish({ reviews: [commented], submits: [[200, { id: 2, state: "APPROVED" }]] });
+  assert.deepEqual(again.posted.map(b => b.event), ["APPROVE"]);
+
+  const dismissed = { id: 1, state: "DISMISSED", body: `No findings.\n\n<!-- ${TOOL}:review event=APPROVE -->` };
+  const after = await publish({ reviews: [dismissed], submits: [[200, { id: 2, state: "APPROVED" }]] });
+  assert.deepEqual(after.posted.map(b => b.event), ["APPROVE"]);
+});
+
+test("publishReview / applySuppressions: a finding on removed code is fingerprinted from the base revision", async () => {
+  const patch = "@@ -1,3 +1,2 @@\n keep\n-if (!user.isAdmin) throw denied();\n rest";
+  const newLines = ["keep", "rest"];
+  const removed = { file: "src/a.js", line: 2, side: "LEFT", severity: "high", comment: "admin check removed" };
+  const fp = fingerprintFinding(removed, ["keep", "if (!user.isAdmin) throw denied();", "rest"]);
+  assert.notEqual(fp, fingerprintFinding(removed, newLines));
+  const readBaseLines = (f) => f === "src/a.js" ? oldLinesFromPatch(patch) : null;
+
+  const run = await publish({
+    files: [{ filename: "src/a.js", patch }], findings: [removed], readLines: () => newLines, readBaseLines,
+    submits: [[200, { id: 1, state: "CHANGES_REQUESTED" }]]
+  });
+  assert.deepEqual(run.posted[0].comments.map(c => [c.line, c.side]), [[2, "LEFT"]]);
+  assert.ok(run.posted[0].comments[0].body.includes(`:fp=${fp} `), run.posted[0].comments[0].body);
+
+  const baselined = applySuppressions([removed], { baseline: { fingerprints: new Set([fp]) }, readLines: () => newLines, readBaseLines });
+  assert.deepEqual([baselined.findings.length, baselined.suppressed.baseline], [0, 1]);
+});
@@ -0,0 +1,150 @@
+/**
+ * workflow-rules.test.mjs
+ *
+ * GitHub Actions checks (workflow-rules.mjs): for every rule, workflows it must flag and
+ * look-alikes it must not, with the reported line and severity.
+ * Run: node --test .github/tools/test/*.test.mjs
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { analyzeWorkflow, isWorkflowFile, WORKFLOW_RULES } from "../lib/workflow-rules.mjs";
+
+const WORKFLOW = ".github/workflows/ci.yml";
+const REPO_WORKFLOWS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "workflows");
+const yml = (...lines) => lines.join("\n") + "\n";
+
+/** "line:ruleId:severity" per finding, in report order */
+function check(src, file = WORKFLOW) {
+  const { findings, error } = analyzeWorkflow(file, src);
+  assert.equal(error, null);
+  return findings.map(f => `${f.line}:${f.ruleId}:${f.severity}`);
+}
+
+/** a single job with `permissions: {}` and these steps */
+const job = (on, ...steps) => yml(`on: ${on}`, "permissions: {}", "jobs:", "  build:", "    runs-on: ubuntu-latest", "    steps:", ...steps);
+const PINNED = "actions/checkout@8e5e7e5ab8b370d6c329ec480221332ada57f0ab";
+
+/** [description, source, expected "line:ruleId:severity" list] */
+const CASES = {
+  "gha-script-injection": [
+    ["issue title in run", job("issues", "      - run: echo \"${{ github.event.issue.title }}\""),
+      ["7:gha-script-injection:high"]],
+    ["head_ref on a later line of a block script", job("pull_request", "      - run: |", "          set -e", "          git push origin ${{ github.head_ref }}"),
+      ["9:gha-script-injection:high"]],
+    ["comment body in github-script", job("issue_comment", `      - uses: actions/github-script@${"f".repeat(40)}`, "        with:",
+      "          script: console.log(`${{ github.event.comment.body }}`)"),
+      ["9:gha-script-injection:high"]],
+    ["field no contributor controls", job("pull_request", "      - run: echo ${{ github.event.pull_request.number }} ${{ github.sha }}"), []],
+    ["passed through env", job("issues", "      - env:", "          TITLE: ${{ github.event.issue.title }}", "        run: echo \"$TITLE\""), []],
+    ["input of another action", job("issues", `      - uses: ${PINNED}`, "        with:", "          ref: ${{ github.event.issue.title }}"), []]
+  ],
+  "gha-untrusted-checkout": [
+    ["pull_request_target checks out the head", job("pull_request_target", `      - uses: ${PINNED}`, "        with:",
+      "          ref: ${{ github.event.pull_request.head.sha }}"),
+      ["9:gha-untrusted-checkout:high"]],
+    ["workflow_run fetches the PR ref in a script", job("workflow_run", "      - run: git fetch origin refs/pull/42/head && git checkout FETCH_HEAD"),
+      ["7:gha-untrusted-checkout:high"]],
+    ["the same checkout on pull_request", job("pull_request", `      - uses: ${PINNED}`, "        with:",
+      "          ref: ${{ github.event.pull_request.head.sha }}"), []],
+    ["pull_request_target on the base branch", job("pull_request_target", `      - uses: ${PINNED}`), []]
+  ],
+  "gha-missing-permissions": [
+    ["no permissions anywhere", yml("on: push", "jobs:", "  test:", "    runs-on: ubuntu-latest", "    steps:", "      - run: npm test"),
+      ["3:gha-missing-permissions:medium"]],
+    ["workflow-level permissions", yml("on: push", "permissions:", "  contents: read", "jobs:", "  test:", "    runs-on: ubuntu-latest", "    steps:", "      - run: npm test"), []],
+    ["job-level permissions", yml("on: push", "jobs:", "  test:", "    permissions: {}", "    runs-on: ubuntu-latest", "    steps:", "      - run: npm test"), []],
+    ["reusable workflow call", yml("on: push", "jobs:", "  call:", "    uses: ./.github/workflows/lint.yml"), []]
+  ],
+  "gha-broad-permissions": [
+    ["write-all on the workflow", yml("on: push", "permissions: write-all", "jobs:", "  a:", "    runs-on: ubuntu-latest", "    steps:", "      - run: make"),
+      ["2:gha-broad-permissions:high"]],
+    ["write-all on a job", yml("on: push", "permissions: {}", "jobs:", "  a:", "    permissions: write-all", "    runs-on: ubuntu-latest", "    steps:", "      - run: make"),
+      ["5:gha-broad-permissions:high"]],
+    ["workflow-wide write scope", yml("on: push", "permissions:", "  contents: read", "  packages: write", "jobs:", "  a:", "    runs-on: ubuntu-latest", "    steps:", "      - run: make"),
+      ["4:gha-broad-permissions:low"]],
+    ["workflow-wide write scope on pull_request_target", yml("on: pull_request_target", "permissions:", "  pull-requests: write", "jobs:", "  a:",
+      "    runs-on: ubuntu-latest", "    steps:", "      - run: make"),
+      ["3:gha-broad-permissions:high"]],
+    ["write scope on the job that needs it", yml("on: push", "permissions:", "  contents: read", "jobs:", "  release:", "    permissions:", "      contents: write",
+      "    runs-on: ubuntu-latest", "    steps:", "      - run: make release"), []]
+  ],
+  "gha-unpinned-action": [
+    ["first-party action by tag", job("push", "      - uses: actions/checkout@v4"), ["7:gha-unpinned-action:low"]],
+    ["third-party action by branch", job("push", "      - uses: octo/deploy-action@main"), ["7:gha-unpinned-action:medium"]],
+    ["no version at all", job("push", "      - uses: octo/deploy-action"), ["7:gha-unpinned-action:medium"]],
+    ["container by tag", job("push", "      - uses: docker://alpine:3.19"), ["7:gha-unpinned-action:medium"]],
+    ["reusable workflow by tag", yml("on: push", "jobs:", "  call:", "    uses: octo/workflows/.github/workflows/ci.yml@v1"), ["4:gha-unpinned-action:medium"]],
+    ["commit SHA", job("push", `      - uses: ${PINNED} # v4`), []],
+    ["local action", job("push", "      - uses: ./.github/actions/setup"), []],
+    ["container by digest", job("push", `      - uses: docker://alpine@sha256:${"c".repeat(64)}`), []]
+  ],
+  "gha-unpinned-install": [
+    ["global npm install", job("push", "      - run: npm install -g typescript"), ["7:gha-unpinned-install:medium"]],
+    ["pip install in a block script", job("push", "      - run: |", "          python -m venv .venv", "          pip install requests pyyaml==6.0.1"),
+      ["9:gha-unpinned-install:medium"]],
+    ["yarn global add", job("push", "      - run: yarn global add @vercel/ncc"), ["7:gha-unpinned-install:medium"]],
+    ["versioned packages", job("push", "      - run: npm i -g typescript@5.4.5 @scope/pkg@1.2.3 && pip install 'requests==2.31.0'"), []],
+    ["lockfile and requirements installs", job("push", "      - run: |", "          npm ci", "          npm install", "          pip install -r requirements.txt", "          pip install -e ."), []],
+    ["install in github-script is not a shell", job("push", `      - uses: actions/github-script@${"f".repeat(40)}`, "        with:", "          script: console.log('npm install foo')"), []]
+  ],
+  "gha-secret-exposure": [
+    ["secret in the script text", job("push", "      - run: 'curl -H \"Authorization: Bearer ${{ secrets.DEPLOY_TOKEN }}\" https://example.com'"),
+      ["7:gha-secret-exposure:medium"]],
+    ["secret after checking out fork code", job("pull_request_target", `      - uses: ${PINNED}`, "        with:", "          ref: ${{ github.event.pull_request.head.sha }}",
+      "      - run: npm publish", "        env:", "          NODE_AUTH_TOKEN: ${{ secrets.NPM_TOKEN }}"),
+      ["9:gha-untrusted-checkout:high", "12:gha-secret-exposure:high"]],
+    ["secret through env", job("push", "      - run: ./deploy.sh", "        env:", "          TOKEN: ${{ secrets.DEPLOY_TOKEN }}"), []],
+    ["secret before checking out fork code", job("pull_request_target", "      - run: ./label.sh", "        env:", "          TOKEN: ${{ secrets.GITHUB_TOKEN }}"), []]
+  ]
+};
+
+test("every rule has cases", () => {
+  assert.deepEqual(Object.keys(CASES).sort(), WORKFLOW_RULES.map(r => r.id).sort());
+});
+
+for (const [rule, cases] of Object.entries(CASES)) {
+  for (const [name, src, expected] of cases) {
+    test(`${rule}: ${name}`, () => {
+      const relevant = new Set(expected.map(k => k.split(":")[1]).concat(rule));
+      assert.deepEqual(check(src).filter(k => relevant.has(k.split(":")[1])), expected);
+    });
+  }
+}
+
+// -------------------- files --------------------
+
+test("analyzeWorkflow: composite actions get the step checks but no permission checks", () => {
+  const src = yml("name: setup", "runs:", "  using: composite", "  steps:", "    - uses: actions/setup-node@v4",
+    "    - shell: bash", "      run: echo ${{ github.event.pull_request.title }}");
+  assert.deepEqual(check(src, "action.yml"), ["5:gha-unpinned-action:low", "7:gha-script-injection:high"]);
+});
+
+test("analyzeWorkflow: invalid YAML is an error; non-mapping documents are skipped", () => {
+  const bad = analyzeWorkflow(WORKFLOW, "on: push\njobs: [\n");
+  assert.deepEqual(bad.findings, []);
+  assert.equal(typeof bad.error, "string");
+  assert.deepEqual(analyzeWorkflow(WORKFLOW, "- just\n- a list\n"), { findings: [], error: null });
+});
+
+test("analyzeWorkflow: each finding names its rule", () => {
+  const { findings } = analyzeWorkflow(WORKFLOW, job("push", "      - uses: actions/checkout@v4"));
+  assert.equal(findings[0].file, WORKFLOW);
+  assert.match(findings[0].comment, /`actions\/checkout@v4` is referenced by a tag or branch.*\(rule: gha-unpinned-action\)$/);
+});
+
+test("this repository's own workflows pass the checks", () => {
+  const files = fs.readdirSync(REPO_WORKFLOWS).map(name => `.github/workflows/${name}`).filter(isWorkflowFile);
+  assert.ok(files.length >= 2);
+  for (const file of files) {
+    assert.deepEqual(check(fs.readFileSync(path.join(REPO_WORKFLOWS, path.basename(file)), "utf8"), file), [], file);
+  }
+});
+
+test("isWorkflowFile: workflows and composite actions only", () => {
+  for (const f of [".github/workflows/ci.yml", ".github/workflows/release.yaml", "action.yml"]) assert.ok(isWorkflowFile(f), f);
+  for (const f of [".github/dependabot.yml", "config/ci.yml", ".github/workflows/README.md"]) assert.ok(!isWorkflowFile(f), f);
+});